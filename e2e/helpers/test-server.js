@@ -23,11 +23,14 @@ export function getNextPort() { return nextPort++; }
  * @param {number} [options.rateLimit] - Rate limit (points per second)
  * @param {Function} [options.verifyClient] - WebSocket verifyClient callback
  * @param {boolean} [options.debug] - Enable PlaySocketServer debug logging
+ * @param {object} [options.persistence] - PlaySocketServer persistence adapter
+ * @param {object} [options.backplane] - PlaySocketServer backplane (shared by the nodes of a cluster)
+ * @param {string} [options.nodeId] - PlaySocketServer node ID on the backplane
  * @returns {Promise<{ server: PlaySocketServer, httpServer: import('node:http').Server, port: number, wsUrl: string, httpUrl: string, close: () => void }>} Test server handle
  */
 export async function createTestServer(options = {}) {
     const port = options.port || getNextPort();
-    const { eventHandlers = {}, rateLimit, verifyClient, debug = false } = options;
+    const { eventHandlers = {}, rateLimit, reconnectGracePeriod, verifyClient, persistence, backplane, nodeId, debug = false } = options;
     const existing = options.existingServer;
     const httpServer = existing || createServer();
 
@@ -52,7 +55,11 @@ export async function createTestServer(options = {}) {
     // Build PlaySocketServer options, only including optional fields when provided
     const serverOpts = { server: httpServer, path: "/ws", debug };
     if (rateLimit != null) serverOpts.rateLimit = rateLimit;
+    if (reconnectGracePeriod != null) serverOpts.reconnectGracePeriod = reconnectGracePeriod;
     if (verifyClient) serverOpts.verifyClient = verifyClient;
+    if (persistence) serverOpts.persistence = persistence;
+    if (backplane) serverOpts.backplane = backplane;
+    if (nodeId) serverOpts.nodeId = nodeId;
 
     // Attach user-provided event handlers (e.g. requestReceived, storageUpdateRequested)
     const server = new PlaySocketServer(serverOpts);
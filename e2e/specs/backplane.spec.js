@@ -0,0 +1,140 @@
+import { test, expect } from "@playwright/test";
+import { createTestServer } from "../helpers/test-server.js";
+import { openPage, sleep } from "../helpers/playwright-helpers.js";
+import { InProcessBackplane } from "../../src/server/server.js";
+
+/**
+ * Create two test servers connected through a shared in-process backplane
+ * @returns {Promise<[Awaited<ReturnType<typeof createTestServer>>, Awaited<ReturnType<typeof createTestServer>>, InProcessBackplane]>} Both nodes and the backplane
+ */
+async function createCluster() {
+    const backplane = new InProcessBackplane();
+    return [await createTestServer({ backplane, nodeId: "node-a" }), await createTestServer({ backplane, nodeId: "node-b" }), backplane];
+}
+
+test.describe("Backplane", () => {
+
+    test("in-process backplane delivers messages in order and tracks key owners", async () => {
+        const backplane = new InProcessBackplane();
+        const received = [];
+        const handler = (message) => received.push(message[0]);
+        backplane.subscribe("node:x", handler);
+
+        backplane.publish("node:x", new Uint8Array([1]));
+        backplane.publish("node:x", new Uint8Array([2]));
+        expect(received).toEqual([]); // Delivered asynchronously
+        await sleep(0);
+        expect(received).toEqual([1, 2]);
+
+        backplane.unsubscribe("node:x", handler);
+        backplane.publish("node:x", new Uint8Array([3]));
+        await sleep(0);
+        expect(received).toEqual([1, 2]);
+
+        expect(backplane.claim("room:R1", "node-a")).toBe(true);
+        expect(backplane.claim("room:R1", "node-a")).toBe(true);
+        expect(backplane.claim("room:R1", "node-b")).toBe(false);
+        backplane.release("room:R1", "node-b"); // Not the owner, no effect
+        expect(backplane.getOwner("room:R1")).toBe("node-a");
+        backplane.release("room:R1", "node-a");
+        expect(backplane.getOwner("room:R1")).toBe(null);
+    });
+
+    test("rooms are claimed by their node and can be destroyed from any node", async () => {
+        const [nodeA, nodeB, backplane] = await createCluster();
+        const room = nodeB.server.createRoom({});
+        await sleep(0);
+        expect(backplane.getOwner("room:" + room.id)).toBe("node-b");
+
+        nodeA.server.destroyRoom(room.id);
+        await sleep(50);
+        expect(nodeB.server.rooms[room.id]).toBeUndefined();
+        expect(backplane.getOwner("room:" + room.id)).toBe(null);
+        expect(() => nodeA.server.destroyRoom("UNKNOWN")).not.toThrow(); // Unknown rooms might exist on another node
+
+        nodeA.close(); nodeB.close();
+    });
+
+    test("client IDs are unique across nodes", async ({ context }) => {
+        const [nodeA, nodeB] = await createCluster();
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, nodeA.httpUrl, "test-client.html");
+        await openPage(p2, nodeB.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("bp1", wsUrl), { wsUrl: nodeA.wsUrl });
+        const error = await p2.evaluate(async ({ wsUrl }) => {
+            try { await window.initClient("bp1", wsUrl); return null; }
+            catch (e) { return e.message; }
+        }, { wsUrl: nodeB.wsUrl });
+        expect(error).toContain("ID is taken");
+
+        // The ID is free again once the client disconnected
+        await p1.evaluate(() => window.destroy("bp1"));
+        await sleep(200);
+        expect(await p2.evaluate(({ wsUrl }) => window.initClient("bp1", wsUrl), { wsUrl: nodeB.wsUrl })).toBe("bp1");
+
+        await p1.close(); await p2.close();
+        nodeA.close(); nodeB.close();
+    });
+
+    test("clients can join and sync with a room owned by another node", async ({ context }) => {
+        const [nodeA, nodeB] = await createCluster();
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, nodeA.httpUrl, "test-client.html");
+        await openPage(p2, nodeB.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("bp2", wsUrl), { wsUrl: nodeA.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("bp3", wsUrl), { wsUrl: nodeB.wsUrl });
+
+        const roomId = await p2.evaluate(() => window.createRoom("bp3", { score: 0 }));
+        await p1.evaluate(({ roomId }) => window.joinRoom("bp2", roomId), { roomId });
+        expect(nodeB.server.rooms[roomId].participants).toEqual(["bp3", "bp2"]);
+        expect(nodeA.server.rooms[roomId]).toBeUndefined();
+
+        await p1.evaluate(() => window.updateStorage("bp2", "score", "number-increment", 5));
+        await p2.waitForFunction(() => window.storage("bp3").score === 5, null, { timeout: 2_000 });
+
+        await p1.evaluate(() => window.sendMessage("bp2", "bp3", "hello"));
+        await p2.waitForFunction(() => window.getEvents("bp3").message.length === 1, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.getEvents("bp3").message[0])).toEqual({ payload: "hello", from: "bp2" });
+
+        // Leaving hands the client back to its own node
+        await p1.evaluate(() => window.leaveRoom("bp2"));
+        expect(nodeB.server.rooms[roomId].participants).toEqual(["bp3"]);
+        expect(await p1.evaluate(() => window.createRoom("bp2", {}))).toBeTruthy();
+        expect(Object.keys(nodeA.server.rooms)).toHaveLength(1);
+
+        await p1.close(); await p2.close();
+        nodeA.close(); nodeB.close();
+    });
+
+    test("server API calls are routed to the owning node", async ({ context }) => {
+        const [nodeA, nodeB] = await createCluster();
+        const page = await context.newPage();
+        await openPage(page, nodeA.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("bp4", wsUrl), { wsUrl: nodeA.wsUrl });
+
+        const roomB = nodeB.server.createRoom({ round: 1 });
+        const roomA = nodeA.server.createRoom({ lobby: true });
+        await sleep(0);
+        await page.evaluate(({ roomId }) => window.joinRoom("bp4", roomId), { roomId: roomB.id });
+
+        nodeA.server.updateRoomStorage(roomB.id, "round", "set", 2);
+        await page.waitForFunction(() => window.storage("bp4").round === 2, null, { timeout: 2_000 });
+        expect(nodeB.server.getRoomStorage(roomB.id).round).toBe(2);
+
+        nodeA.server.sendToRoom(roomB.id, "round-starting", { in: 3 });
+        await page.waitForFunction(() => window.getEvents("bp4").serverMessage.length === 1, null, { timeout: 2_000 });
+
+        // Move back into a room of the client's own node
+        nodeB.server.move("bp4", roomA.id);
+        await page.waitForFunction(() => window.storage("bp4").lobby === true, null, { timeout: 2_000 });
+        expect(nodeA.server.rooms[roomA.id].participants).toEqual(["bp4"]);
+        expect(nodeB.server.rooms[roomB.id].participants).toEqual([]);
+
+        nodeB.server.kick("bp4", "Routed kick");
+        await page.waitForFunction(() => window.getEvents("bp4").instanceDestroyed.some(r => r?.includes("Routed kick")), null, { timeout: 2_000 });
+
+        await page.close();
+        nodeA.close(); nodeB.close();
+    });
+});
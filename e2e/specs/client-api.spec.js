@@ -338,4 +338,135 @@ test.describe("Client API", () => {
         await expect.poll(() => ts.server.rooms[roomId], { timeout: 3000 }).toBeUndefined();
         expect(ts.server.getRoomStorage(roomId)).toBeUndefined();
     });
+
+    test("sendMessage delivers only to the target and broadcast reaches all other participants", async ({ context }) => {
+        const [p1, p2, p3] = await Promise.all([context.newPage(), context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await openPage(p3, ts.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("msg1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("msg1", { score: 0 }));
+        await p2.evaluate(({ wsUrl }) => window.initClient("msg2", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ roomId }) => window.joinRoom("msg2", roomId), { roomId });
+        await p3.evaluate(({ wsUrl }) => window.initClient("msg3", wsUrl), { wsUrl: ts.wsUrl });
+        await p3.evaluate(({ roomId }) => window.joinRoom("msg3", roomId), { roomId });
+        await p1.waitForFunction(() => window.participantCount("msg1") === 3, null, { timeout: 2_000 });
+
+        await p1.evaluate(() => window.sendMessage("msg1", "msg2", { emote: "wave" }));
+        await p2.waitForFunction(() => window.getEvents("msg2").message.length === 1, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.getEvents("msg2").message[0])).toEqual({ payload: { emote: "wave" }, from: "msg1" });
+
+        await p2.evaluate(() => window.broadcast("msg2", "<b>fired</b>"));
+        await p1.waitForFunction(() => window.getEvents("msg1").message.length === 1, null, { timeout: 2_000 });
+        await p3.waitForFunction(() => window.getEvents("msg3").message.length === 1, null, { timeout: 2_000 });
+        expect(await p3.evaluate(() => window.getEvents("msg3").message[0])).toEqual({ payload: "bfired/b", from: "msg2" }); // HTML is stripped
+
+        // Messages are ephemeral and never touch the storage, the sender does not receive its own broadcast
+        expect(await p2.evaluate(() => window.getEvents("msg2").message.length)).toBe(1);
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ score: 0 });
+
+        await p1.close(); await p2.close(); await p3.close();
+    });
+
+    test("leaveRoom keeps the connection and allows creating or joining another room", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("lr1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("lr1", { score: 5 }));
+        await p2.evaluate(({ wsUrl }) => window.initClient("lr2", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ roomId }) => window.joinRoom("lr2", roomId), { roomId });
+        await p1.waitForFunction(() => window.participantCount("lr1") === 2, null, { timeout: 2_000 });
+
+        // Host leaves, remaining participant becomes host
+        await p1.evaluate(() => window.leaveRoom("lr1"));
+        expect(await p1.evaluate(() => window.storage("lr1"))).toEqual({});
+        expect(await p1.evaluate(() => window.participantCount("lr1"))).toBe(0);
+        expect(await p1.evaluate(() => window.isHost("lr1"))).toBe(false);
+        await p2.waitForFunction(() => window.isHost("lr2") && window.getEvents("lr2").clientLeft.includes("lr1"), null, { timeout: 2_000 });
+        expect(ts.server.rooms[roomId].participants).toEqual(["lr2"]);
+
+        // Same instance can create a new room and rejoin the old one afterwards
+        const newRoomId = await p1.evaluate(() => window.createRoom("lr1", { fresh: true }));
+        expect(await p1.evaluate(() => window.storage("lr1"))).toEqual({ fresh: true });
+        await p1.evaluate(() => window.leaveRoom("lr1"));
+        await expect.poll(() => ts.server.rooms[newRoomId], { timeout: 2_000 }).toBeUndefined(); // Empty client-owned room is destroyed
+        await p1.evaluate(({ roomId }) => window.joinRoom("lr1", roomId), { roomId });
+        expect(await p1.evaluate(() => window.storage("lr1"))).toEqual({ score: 5 });
+
+        const events = await p1.evaluate(() => window.getEvents("lr1"));
+        expect(events.status).toContain("Left room.");
+        expect(events.instanceDestroyed).toEqual([]);
+
+        await p1.close(); await p2.close();
+    });
+
+    test("leaveRoom rejects when not in a room", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("lr3", wsUrl), { wsUrl: ts.wsUrl });
+        const err = await page.evaluate(async () => {
+            try { await window.leaveRoom("lr3"); return null; }
+            catch (e) { return e.message; }
+        });
+        expect(err).toContain("Not in a room");
+    });
+
+    test("listRooms returns public rooms with participant counts, size and metadata", async ({ context }) => {
+        const ts = await createTestServer(); // Isolated server so rooms from other tests aren't listed
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("ls1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("ls1", {}, 4, { isPublic: true, metadata: { name: "<b>Fun</b> room", mode: "ffa" } }));
+        const serverRoom = ts.server.createRoom({}, 8, "server", { isPublic: true, metadata: { name: "Lobby", mode: "teams" } });
+        ts.server.createRoom({}, 8); // Private rooms are never listed
+
+        await p2.evaluate(({ wsUrl }) => window.initClient("ls2", wsUrl), { wsUrl: ts.wsUrl });
+        const all = await p2.evaluate(() => window.listRooms("ls2"));
+        expect(all).toHaveLength(2);
+        expect(all).toContainEqual({ id: roomId, participantCount: 1, size: 4, metadata: { name: "bFun/b room", mode: "ffa" } });
+        expect(all).toContainEqual({ id: serverRoom.id, participantCount: 0, size: 8, metadata: { name: "Lobby", mode: "teams" } });
+
+        const filtered = await p2.evaluate(() => window.listRooms("ls2", { mode: "teams" }));
+        expect(filtered.map(r => r.id)).toEqual([serverRoom.id]);
+
+        await p1.close(); await p2.close();
+        ts.close();
+    });
+
+    test("updatePresence shares ephemeral state with the room and removes it on leave", async ({ context }) => {
+        const ts = await createTestServer();
+        const [p1, p2, p3] = await Promise.all([context.newPage(), context.newPage(), context.newPage()]);
+        for (const [id, p] of [["pr1", p1], ["pr2", p2], ["pr3", p3]]) {
+            await openPage(p, ts.httpUrl, "test-client.html");
+            await p.evaluate(({ id, wsUrl }) => window.initClient(id, wsUrl), { id, wsUrl: ts.wsUrl });
+        }
+        const roomId = await p1.evaluate(() => window.createRoom("pr1", { score: 0 }));
+        await p2.evaluate(({ roomId }) => window.joinRoom("pr2", roomId), { roomId });
+
+        await p1.evaluate(() => window.updatePresence("pr1", { cursor: { x: 10, y: 20 } }));
+        expect(await p1.evaluate(() => window.presence("pr1"))).toEqual({ pr1: { cursor: { x: 10, y: 20 } } });
+        await p2.waitForFunction(() => window.getEvents("pr2").presenceUpdated.some(e => e.clientId === "pr1"), null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.presence("pr2"))).toEqual({ pr1: { cursor: { x: 10, y: 20 } } });
+
+        // Late joiners receive the current presence, which is not part of the storage
+        await p3.evaluate(({ roomId }) => window.joinRoom("pr3", roomId), { roomId });
+        expect(await p3.evaluate(() => window.presence("pr3"))).toEqual({ pr1: { cursor: { x: 10, y: 20 } } });
+        expect(await p3.evaluate(() => window.storage("pr3"))).toEqual({ score: 0 });
+
+        // Invalid states are ignored
+        await p2.evaluate(() => window.updatePresence("pr2", ["not", "an", "object"]));
+        expect(await p2.evaluate(() => window.presence("pr2"))).toEqual({ pr1: { cursor: { x: 10, y: 20 } } });
+
+        await p1.evaluate(() => window.leaveRoom("pr1"));
+        await p2.waitForFunction(() => Object.keys(window.presence("pr2")).length === 0, null, { timeout: 2_000 });
+        await p3.waitForFunction(() => Object.keys(window.presence("pr3")).length === 0, null, { timeout: 2_000 });
+        expect(ts.server.rooms[roomId].presence).toEqual({});
+
+        await p1.close(); await p2.close(); await p3.close();
+        ts.close();
+    });
 });
\ No newline at end of file
@@ -32,6 +32,34 @@ test.describe("Client configuration", () => {
         expect(err).toContain("Already initialized");
     });
 
+    test("invalid reconnect options and offline queue sizes throw, undefined ones keep the default", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html");
+        const errors = await page.evaluate(async ({ wsUrl }) => {
+            const { default: PlaySocket } = await import("/src/client/client.js");
+            const invalidOptions = [{ maxAttempts: -1 }, { maxAttempts: 1.5 }, { delay: NaN }, { maxDelay: Infinity }, { timeout: "1000" }, { jitter: 2 }, { strategy: "linear" }, { retries: 3 }];
+            return invalidOptions.map(reconnect => {
+                try { new PlaySocket("ro", { endpoint: wsUrl, reconnect }); return null; }
+                catch (e) { return e.message; }
+            });
+        }, { wsUrl: ts.wsUrl });
+        errors.forEach(error => expect(error).toMatch(/(Invalid|Unknown) reconnect option/));
+
+        const queueSizeErrors = await page.evaluate(async ({ wsUrl }) => {
+            const { default: PlaySocket } = await import("/src/client/client.js");
+            return [-1, 1.5, NaN, "10"].map(offlineQueueSize => {
+                try { new PlaySocket("ro", { endpoint: wsUrl, offlineQueueSize }); return null; }
+                catch (e) { return e.message; }
+            });
+        }, { wsUrl: ts.wsUrl });
+        queueSizeErrors.forEach(error => expect(error).toMatch(/Invalid offlineQueueSize/));
+
+        // Undefined values keep the defaults, so the client still reconnects after a drop
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("ru1", wsUrl, undefined, { reconnect: { maxAttempts: undefined, delay: undefined } }), { wsUrl: ts.wsUrl });
+        await page.evaluate(() => window.simulateDisconnect("ru1"));
+        await expect.poll(() => page.evaluate(() => window.getEvents("ru1").reconnected.length)).toBe(1);
+    });
+
     test("init() with no endpoint rejects", async ({ page }) => {
         await openPage(page, ts.httpUrl, "test-client.html");
         const err = await page.evaluate(async () => {
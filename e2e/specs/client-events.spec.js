@@ -381,4 +381,47 @@ test.describe("Client events", () => {
         await page.waitForFunction(() => window.__order.includes("second"), null, { timeout: 2_000 });
         expect(await page.evaluate(() => window.__order.slice(0, 2))).toEqual(["first", "second"]);
     });
+
+    test("storageUpdated carries the changed keys and onKeyChanged fires per key", async ({ page, context }) => {
+        await openPage(page, ts.httpUrl, "test-client.html");
+        const page2 = await context.newPage();
+        await openPage(page2, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("kc1", wsUrl), { wsUrl: ts.wsUrl });
+        await page2.evaluate(({ wsUrl }) => window.initClient("kc2", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("kc1", { score: 0, players: { a: { hp: 10 } } }));
+        await page2.evaluate(({ roomId }) => window.joinRoom("kc2", roomId), { roomId });
+
+        const serverChanges = [];
+        const unsubscribe = ts.server.onEvent("storageUpdated", ({ roomId: id, changes }) => { if (id === roomId) serverChanges.push(changes); });
+        await page2.evaluate(() => {
+            window.__changes = [];
+            window.__scoreChanges = [];
+            window.onEvent("kc2", "storageUpdated", (storage, changes) => window.__changes.push(changes));
+            window.__unsubscribeScore = window.onKeyChanged("kc2", "score", (next, previous) => window.__scoreChanges.push([next, previous]));
+        });
+
+        await page.evaluate(() => window.updateStorage("kc1", "players.a.hp", "number-increment", -3));
+        await page2.waitForFunction(() => window.__changes.length === 1, null, { timeout: 2_000 });
+        expect(await page2.evaluate(() => window.__changes[0])).toEqual({
+            keys: ["players"],
+            changes: { players: { previous: { a: { hp: 10 } }, next: { a: { hp: 7 } } } },
+            patch: [{ op: "replace", path: "/players/a/hp", value: 7 }]
+        });
+        expect(await page2.evaluate(() => window.__scoreChanges)).toEqual([]); // Other keys don't trigger key callbacks
+        expect(serverChanges[0].keys).toEqual(["players"]);
+
+        await page.evaluate(() => window.updateStorage("kc1", "score", "set", 5));
+        await page.evaluate(() => window.updateStorage("kc1", "title", "set", "New"));
+        await page2.waitForFunction(() => window.__changes.length === 3, null, { timeout: 2_000 });
+        expect(await page2.evaluate(() => window.__scoreChanges)).toEqual([[5, 0]]);
+        expect(await page2.evaluate(() => window.__changes[2].patch)).toEqual([{ op: "add", path: "/title", value: "New" }]);
+
+        await page2.evaluate(() => window.__unsubscribeScore());
+        await page.evaluate(() => window.updateStorage("kc1", "score", "set", 6));
+        await page2.waitForFunction(() => window.storage("kc2").score === 6, null, { timeout: 2_000 });
+        expect(await page2.evaluate(() => window.__scoreChanges.length)).toBe(1);
+
+        unsubscribe();
+        await page2.close();
+    });
 });
@@ -253,6 +253,28 @@ test.describe("CRDTManager", () => {
         expect(opsAfter.length).toBeLessThan(opsBefore.length);
     });
 
+    test("garbage collection keeps retained operations revertible", async () => {
+        const crdt = new CRDTManager();
+        for (let i = 0; i < 3; i++) crdt.updateProperty("counter", "number-increment", 1);
+        const retained = [crdt.updateProperty("counter", "number-increment", 10), crdt.updateProperty("counter", "number-increment", 10)];
+        crdt.updateProperty("counter", "number-increment", 1);
+        crdt.retainOperations(retained.map(update => update.operation.uuid));
+
+        await new Promise(r => setTimeout(r, HEARTBEAT_INTERVAL + 1000));
+        crdt.updateProperty("counter", "number-increment", 100); // Triggers GC, which stops before the first retained op
+        expect(new Map(crdt.state.keyOperations).get("counter").length).toBe(5);
+
+        crdt.revertPropertyUpdate(retained[1]);
+        expect(crdt.propertyStore.counter).toBe(114);
+
+        // Released ops are compacted again
+        crdt.releaseOperations(retained.map(update => update.operation.uuid));
+        await new Promise(r => setTimeout(r, HEARTBEAT_INTERVAL + 1000));
+        crdt.updateProperty("counter", "number-increment", 1000);
+        expect(new Map(crdt.state.keyOperations).get("counter").length).toBe(2);
+        expect(crdt.propertyStore.counter).toBe(1114);
+    });
+
     test("GC does not run with fewer than 5 operations", async () => {
         const crdt = new CRDTManager();
         crdt.updateProperty("x", "set", 1);
@@ -367,4 +389,323 @@ test.describe("CRDTManager", () => {
         const crdt1ReplicaId = new Map(update.vectorClock).keys().next().value;
         expect(clockMap.get(crdt1ReplicaId)).toBeGreaterThanOrEqual(4);
     });
+
+    test("nested path operations merge concurrent edits to different fields", () => {
+        const server = new CRDTManager();
+        const replicaA = new CRDTManager();
+        const replicaB = new CRDTManager();
+        const initial = server.updateProperty("players", "set", { alice: { score: 1, name: "A" } });
+        replicaA.importPropertyUpdate(initial);
+        replicaB.importPropertyUpdate(initial);
+
+        // Concurrent edits to sibling fields (string and array paths)
+        const updateA = replicaA.updateProperty("players.alice.score", "number-increment", 2);
+        const updateB = replicaB.updateProperty(["players", "alice", "name"], "set", "Alice");
+        const updateC = replicaB.updateProperty("players.bob.items", "array-add", "sword"); // Missing objects are created
+        expect(updateA.key).toBe("players");
+        expect(updateA.operation.data.path).toEqual(["alice", "score"]);
+
+        for (const replica of [server, replicaA, replicaB]) {
+            for (const update of [updateA, updateB, updateC]) replica.importPropertyUpdate(update);
+            expect(replica.propertyStore.players).toEqual({ alice: { score: 3, name: "Alice" }, bob: { items: ["sword"] } });
+        }
+
+        // A later top-level set replaces the nested values
+        server.updateProperty("players", "set", {});
+        expect(server.propertyStore.players).toEqual({});
+    });
+
+    test("nested paths traverse existing array indexes and reject unsafe segments", () => {
+        const crdt = new CRDTManager();
+        crdt.updateProperty("list", "set", [{ v: 1 }, { v: 2 }]);
+        crdt.updateProperty("list.1.v", "number-increment", 10);
+        crdt.updateProperty("list.5.v", "set", 1); // Out of range, ignored
+        crdt.updateProperty("list.x", "set", 1); // Not an index, ignored
+        expect(crdt.propertyStore.list).toEqual([{ v: 1 }, { v: 12 }]);
+
+        expect(crdt.updateProperty("obj.__proto__.polluted", "set", true)).toBeUndefined();
+        expect(crdt.updateProperty("obj..x", "set", true)).toBeUndefined();
+        expect(crdt.updateProperty("a.b.c.d.e.f.g.h.i.j.k.l", "set", true)).toBeUndefined(); // Too deep
+        expect(crdt.propertyStore.obj).toBeUndefined();
+
+        // Unsafe paths from other replicas are rejected as well
+        const other = new CRDTManager();
+        const update = other.updateProperty("obj.x", "set", 1);
+        crdt.importPropertyUpdate({ ...update, operation: { ...update.operation, data: { ...update.operation.data, path: ["constructor", "x"] } } });
+        expect(crdt.propertyStore.obj).toBeUndefined();
+        expect({}.polluted).toBeUndefined();
+    });
+
+    test("previewPropertyUpdates computes the resulting values without changing the state", () => {
+        const server = new CRDTManager();
+        const client = new CRDTManager();
+        client.importPropertyUpdate(server.updateProperty("player", "set", { name: "A", score: 1 }));
+
+        const update = client.updateProperty("player.score", "number-increment", 4);
+        expect(server.previewPropertyUpdates([update])).toEqual({ player: { name: "A", score: 5 } });
+        expect(server.propertyStore.player).toEqual({ name: "A", score: 1 });
+        expect(server.previewPropertyUpdates([update])).toEqual({ player: { name: "A", score: 5 } }); // Unchanged state, same result
+
+        server.importPropertyUpdate(update);
+        expect(server.previewPropertyUpdates([update])).toEqual({ player: { name: "A", score: 5 } }); // Already imported operations are not applied twice
+        const other = client.updateProperty("other", "set", 1);
+        const increment = client.updateProperty("player.score", "number-increment", 1);
+        expect(server.previewPropertyUpdates([other, increment])).toEqual({ other: 1, player: { name: "A", score: 6 } }); // Multiple updates build on each other
+    });
+
+    test("takeChanges reports changed keys with previous and next values and a JSON patch", () => {
+        const crdt = new CRDTManager();
+        crdt.updateProperty("board", "set", { "a/b": 1, list: [1, 2], gone: true });
+        crdt.updateProperty("score", "set", 0);
+        expect(crdt.takeChanges().keys).toEqual(["board", "score"]);
+        expect(crdt.takeChanges()).toEqual({ keys: [], changes: {}, patch: [] });
+
+        crdt.updateProperty(["board", "a/b"], "number-increment", 1);
+        crdt.updateProperty("board.list", "array-add", 3);
+        crdt.updateProperty("board", "object-remove-key", "gone");
+        crdt.updateProperty("score", "set", 0); // No-op
+        const changes = crdt.takeChanges();
+        expect(changes.keys).toEqual(["board"]);
+        expect(changes.changes.board).toEqual({ previous: { "a/b": 1, list: [1, 2], gone: true }, next: { "a/b": 2, list: [1, 2, 3] } });
+        expect(changes.patch).toEqual([
+            { op: "replace", path: "/board/a~1b", value: 2 },
+            { op: "replace", path: "/board/list", value: [1, 2, 3] },
+            { op: "remove", path: "/board/gone" }
+        ]);
+
+        // Keys missing in an imported state are reported as removed
+        crdt.importState({ keyOperations: [], vectorClock: [] });
+        expect(crdt.takeChanges()).toEqual({
+            keys: ["board", "score"],
+            changes: { board: { previous: { "a/b": 2, list: [1, 2, 3] }, next: undefined }, score: { previous: 0, next: undefined } },
+            patch: [{ op: "remove", path: "/board" }, { op: "remove", path: "/score" }]
+        });
+    });
+
+    test("garbage collection preserves nested path values", async () => {
+        const crdt = new CRDTManager();
+        crdt.updateProperty("stats", "set", { hp: 10 });
+        for (let i = 0; i < 5; i++) crdt.updateProperty("stats.hp", "number-increment", -1);
+        crdt.updateProperty("stats.mp", "set", 3);
+        expect(crdt.propertyStore.stats).toEqual({ hp: 5, mp: 3 });
+
+        await new Promise(r => setTimeout(r, HEARTBEAT_INTERVAL + 1000));
+        crdt.updateProperty("stats.hp", "number-increment", 1); // Triggers GC
+
+        expect(new Map(crdt.state.keyOperations).get("stats").length).toBeLessThan(8);
+        expect(crdt.propertyStore.stats).toEqual({ hp: 6, mp: 3 });
+    });
+
+    test("text operations merge concurrent edits character-wise", () => {
+        const crdt1 = new CRDTManager();
+        const crdt2 = new CRDTManager();
+        crdt2.importPropertyUpdate(crdt1.updateProperty("note", "set", "hello"));
+
+        const update1 = crdt1.updateProperty("note", "text-insert", 5, " world");
+        const update2 = crdt2.updateProperty("note", "text-insert", 0, "Oh, ");
+        const update3 = crdt2.updateProperty("note", "text-delete", 4, 1); // "h"
+        const update4 = crdt2.updateProperty("note", "text-insert", 4, "H");
+        crdt1.importPropertyUpdate(update2);
+        crdt1.importPropertyUpdate(update3);
+        crdt1.importPropertyUpdate(update4);
+        crdt2.importPropertyUpdate(update1);
+
+        expect(crdt1.propertyStore.note).toBe("Oh, Hello world");
+        expect(crdt2.propertyStore.note).toBe("Oh, Hello world");
+        expect(crdt1.updateProperty("note", "text-delete", 0, 0)).toBeUndefined(); // Invalid count
+    });
+
+    test("garbage collection preserves text character IDs", async () => {
+        const crdt1 = new CRDTManager();
+        const crdt2 = new CRDTManager();
+        for (const char of "abcde") crdt2.importPropertyUpdate(crdt1.updateProperty("doc.text", "text-insert", 99, char));
+
+        await new Promise(r => setTimeout(r, HEARTBEAT_INTERVAL + 1000));
+        const lateUpdate = crdt2.updateProperty("doc.text", "text-insert", 2, "X"); // Created before the first replica collects garbage
+        crdt1.updateProperty("doc.text", "text-insert", 0, "!"); // Triggers GC
+        expect(new Map(crdt1.state.keyOperations).get("doc").length).toBe(2);
+
+        crdt1.importPropertyUpdate(lateUpdate);
+        expect(crdt1.propertyStore.doc).toEqual({ text: "!abXcde" });
+    });
+
+    test("values can't be mistaken for internal texts", () => {
+        const crdt = new CRDTManager();
+        const value = { $text: [["id", "hello", 0]] };
+        crdt.updateProperty("doc", "set", value);
+        crdt.updateProperty("doc.text", "text-insert", 0, "hi");
+        expect(crdt.propertyStore.doc).toEqual({ ...value, text: "hi" });
+
+        // Forged markers from other replicas are removed by sanitization, and rejected in paths
+        const other = new CRDTManager();
+        const update = other.updateProperty("forged", "set", null);
+        crdt.importPropertyUpdate({ ...update, operation: { ...update.operation, data: { ...update.operation.data, value: { "<text>": [["id", "hello", 0]] } } } });
+        expect(crdt.propertyStore.forged).toEqual({ text: [["id", "hello", 0]] });
+        expect(crdt.updateProperty("path.<text>", "set", [["id", "hello", 0]])).toBeUndefined();
+    });
+
+    test("list operations address items by stable IDs", () => {
+        const crdt1 = new CRDTManager();
+        const crdt2 = new CRDTManager();
+        crdt2.importPropertyUpdate(crdt1.updateProperty("list", "set", ["a", "b", "c", "a"]));
+
+        const updates1 = [
+            crdt1.updateProperty("list", "array-move", 0, 3), // b c a a
+            crdt1.updateProperty("list", "array-insert-at", 1, "x") // b x c a a
+        ];
+        const updates2 = [
+            crdt2.updateProperty("list", "array-update-at", 0, "A"), // A b c a
+            crdt2.updateProperty("list", "array-remove-at", 2) // A b a
+        ];
+        expect(crdt1.propertyStore.list).toEqual(["b", "x", "c", "a", "a"]);
+        expect(crdt2.propertyStore.list).toEqual(["A", "b", "a"]);
+
+        updates2.forEach(update => crdt1.importPropertyUpdate(update));
+        updates1.forEach(update => crdt2.importPropertyUpdate(update));
+        expect(crdt1.propertyStore.list).toEqual(["b", "x", "a", "A"]);
+        expect(crdt2.propertyStore.list).toEqual(["b", "x", "a", "A"]);
+
+        expect(crdt1.updateProperty("list", "array-remove-at", 4)).toBeUndefined(); // Out of range
+        crdt1.updateProperty("list", "array-add", "y"); // Other array operations work on the plain array
+        expect(crdt1.propertyStore.list).toEqual(["b", "x", "a", "A", "y"]);
+    });
+
+    test("values can't be mistaken for internal lists", () => {
+        const crdt = new CRDTManager();
+        const value = { $list: ["x", "y"] };
+        crdt.updateProperty("doc", "set", value);
+        crdt.updateProperty("doc.items", "array-insert-at", 0, "z");
+        expect(crdt.propertyStore.doc).toEqual({ ...value, items: ["z"] });
+        crdt.updateProperty("doc.items", "array-insert-at", 1, value);
+        expect(crdt.propertyStore.doc.items).toEqual(["z", value]);
+
+        const other = new CRDTManager();
+        const update = other.updateProperty("forged", "set", null);
+        crdt.importPropertyUpdate({ ...update, operation: { ...update.operation, data: { ...update.operation.data, value: { "<list>": [["id", "x", 0]] } } } });
+        expect(crdt.propertyStore.forged).toEqual({ list: [["id", "x", 0]] });
+    });
+
+    test("updateProperty with all additional number operations", () => {
+        const crdt = new CRDTManager();
+        crdt.updateProperty("value", "number-max", 5);
+        crdt.updateProperty("value", "number-max", 3);
+        expect(crdt.propertyStore.value).toBe(5);
+
+        crdt.updateProperty("value", "number-min", 2);
+        expect(crdt.propertyStore.value).toBe(2);
+
+        crdt.updateProperty("value", "number-multiply", 4);
+        expect(crdt.propertyStore.value).toBe(8);
+
+        crdt.updateProperty("value", "number-increment-clamped", 10, { max: 12 });
+        expect(crdt.propertyStore.value).toBe(12);
+
+        crdt.updateProperty("value", "number-increment-clamped", -20, { min: 0, max: 12 });
+        expect(crdt.propertyStore.value).toBe(0);
+
+        crdt.updateProperty("value", "number-multiply", "invalid"); // Non-finite values are ignored
+        expect(crdt.propertyStore.value).toBe(0);
+    });
+
+    test("set operations keep unique items and concurrent adds win over removals", () => {
+        const crdt1 = new CRDTManager();
+        const crdt2 = new CRDTManager();
+        crdt2.importPropertyUpdate(crdt1.updateProperty("tags", "set-add", "red"));
+        crdt2.importPropertyUpdate(crdt1.updateProperty("tags", "set-add", { color: "blue" }));
+        crdt1.updateProperty("tags", "set-add", "red");
+        expect(crdt1.propertyStore.tags).toEqual(["red", { color: "blue" }]);
+
+        const removal = crdt1.updateProperty("tags", "set-remove", "red");
+        const addition = crdt2.updateProperty("tags", "set-add", "red");
+        const objectRemoval = crdt2.updateProperty("tags", "set-remove", { color: "blue" });
+        crdt1.importPropertyUpdate(addition);
+        crdt1.importPropertyUpdate(objectRemoval);
+        crdt2.importPropertyUpdate(removal);
+
+        expect(crdt1.propertyStore.tags).toEqual(["red"]);
+        expect(crdt2.propertyStore.tags).toEqual(["red"]);
+    });
+
+    test("values can't be mistaken for internal sets", () => {
+        const crdt = new CRDTManager();
+        const value = { $set: [["1", "a", 0], ["2", "a", 0]] };
+        crdt.updateProperty("doc", "set", value);
+        crdt.updateProperty("doc.tags", "set-add", value);
+        crdt.updateProperty("doc.tags", "set-add", value);
+        expect(crdt.propertyStore.doc).toEqual({ ...value, tags: [value] });
+
+        const other = new CRDTManager();
+        const update = other.updateProperty("forged", "set", null);
+        crdt.importPropertyUpdate({ ...update, operation: { ...update.operation, data: { ...update.operation.data, value: { "<set>": [["1", "a", 0]] } } } });
+        expect(crdt.propertyStore.forged).toEqual({ set: [["1", "a", 0]] });
+    });
+
+    test("importPropertyUpdates imports all updates or none", () => {
+        const source = new CRDTManager();
+        const target = new CRDTManager();
+        for (let i = 0; i < 99; i++) target.updateProperty(`key${i}`, "set", i);
+
+        const updates = [source.updateProperty("gold", "number-increment", -10), source.updateProperty("inventory", "array-add", "sword")];
+        expect(target.previewPropertyUpdates(updates)).toEqual({ gold: -10, inventory: ["sword"] });
+        target.importPropertyUpdates(updates); // Would exceed the key limit
+        expect(target.propertyStore.gold).toBeUndefined();
+        expect(target.propertyStore.inventory).toBeUndefined();
+
+        const other = new CRDTManager();
+        other.importPropertyUpdates(updates);
+        expect(other.propertyStore).toEqual({ gold: -10, inventory: ["sword"] });
+    });
+
+    test("compare-and-set applies if the condition is met and resolveConditions confirms it", () => {
+        const server = new CRDTManager();
+        const client1 = new CRDTManager();
+        const client2 = new CRDTManager();
+
+        const claim1 = client1.updateProperty("game.flag", "compare-and-set", null, "p1");
+        const claim2 = client2.updateProperty("game.flag", "compare-and-set", null, "p2");
+        expect(client1.propertyStore.game).toEqual({ flag: "p1" }); // Applied optimistically
+
+        const [resolvedClaim1] = server.resolveConditions([claim1]);
+        server.importPropertyUpdate(resolvedClaim1);
+        expect(server.resolveConditions([claim2])).toBeNull(); // The flag is taken
+        expect(resolvedClaim1.operation.data.resolved).toBe(true);
+        expect(claim1.operation.data.resolved).toBeUndefined(); // The passed updates are left unchanged
+
+        client2.revertPropertyUpdate(claim2);
+        client2.importPropertyUpdate(resolvedClaim1);
+        client1.importPropertyUpdate(resolvedClaim1); // Confirmed copy of the own update
+        expect(client1.propertyStore.game).toEqual({ flag: "p1" });
+        expect(client2.propertyStore.game).toEqual({ flag: "p1" });
+
+        client1.updateProperty("game.flag", "compare-and-set", "other", "p1b"); // Condition not met locally
+        expect(client1.propertyStore.game).toEqual({ flag: "p1" });
+    });
+
+    test("getStateDelta exports only missing operations and importStateDelta merges them", async () => {
+        const server = new CRDTManager();
+        const client = new CRDTManager();
+        client.importState(server.state);
+
+        const known = server.updateProperty("score", "set", 1);
+        client.importPropertyUpdate(known);
+        const clientClock = client.state.vectorClock; // The client disconnects here
+        const missed = server.updateProperty("score", "number-increment", 2);
+        server.updateProperty("text", "text-insert", 0, "hi");
+        const lost = client.updateProperty("score", "number-increment", 10); // Never reaches the server
+
+        const delta = server.getStateDelta(clientClock, [lost.operation.uuid]);
+        expect(delta.keyOperations.map(([key, ops]) => [key, ops.length])).toEqual([["score", 1], ["text", 1]]);
+        expect(delta.keyOperations[0][1][0].uuid).toBe(missed.operation.uuid);
+
+        client.revertPropertyUpdate(lost); // Not part of the delta, so the server doesn't have it
+        client.importStateDelta(delta);
+        expect(client.propertyStore).toEqual(server.propertyStore);
+        expect(server.getStateDelta(client.state.vectorClock).keyOperations).toEqual([]);
+
+        // Operations compacted by garbage collection can't be sent individually
+        for (let i = 0; i < 5; i++) server.updateProperty("score", "number-increment", 1);
+        await new Promise(r => setTimeout(r, HEARTBEAT_INTERVAL + 1000));
+        server.updateProperty("score", "number-increment", 1);
+        expect(server.getStateDelta(client.state.vectorClock)).toBeNull();
+    });
 });
@@ -1,7 +1,8 @@
 import { test, expect } from "@playwright/test";
 import { createTestServer } from "../helpers/test-server.js";
 import { openPage, sleep } from "../helpers/playwright-helpers.js";
-import { RECONNECT_GRACE_PERIOD } from "../../src/server/server.js";
+import { RECONNECT_GRACE_PERIOD, UPDATE_BUFFER_SIZE } from "../../src/server/server.js";
+import { HEARTBEAT_INTERVAL } from "../../src/universal/constants.js";
 
 let ts;
 
@@ -78,19 +79,20 @@ test.describe("Reconnection", () => {
         await p1.close(); await p2.close();
     });
 
-    test("local updates during disconnect are discarded on reconnect", async ({ page }) => {
+    test("local updates during disconnect are queued and sent after reconnecting", async ({ page }) => {
         await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
         await page.evaluate(({ wsUrl }) => window.initClient("lo1", wsUrl), { wsUrl: ts.wsUrl });
-        await page.evaluate(() => window.createRoom("lo1", { counter: 0 }));
+        const roomId = await page.evaluate(() => window.createRoom("lo1", { counter: 0 }));
 
-        // Block network, disconnect, then make local updates that should be discarded
+        // Block network, disconnect, then make local updates that are queued
         await page.evaluate(() => {
             window.blockNetwork();
             window.simulateDisconnect("lo1");
             window.updateStorage("lo1", "counter", "set", 999);
         });
+        ts.server.updateRoomStorage(roomId, "other", "set", 1); // Missed while disconnected
 
-        // Unblock and let client reconnect — importState overwrites local CRDT state
+        // Unblock and let client reconnect, the queued update is applied on top of the received state
         await page.evaluate(() => window.unblockNetwork());
         await page.waitForFunction(() => {
             const ev = window.getEvents("lo1");
@@ -98,7 +100,57 @@ test.describe("Reconnection", () => {
         }, null, { timeout: 10_000 });
 
         const storage = await page.evaluate(() => window.storage("lo1"));
-        expect(storage.counter).toBe(0);
+        expect(storage).toEqual({ counter: 999, other: 1 });
+        await expect.poll(() => ts.server.getRoomStorage(roomId).counter).toBe(999);
+    });
+
+    test("queued updates survive garbage collection while disconnected longer than the heartbeat interval", async ({ page }) => {
+        const longTs = await createTestServer({ reconnectGracePeriod: 20_000 });
+        await openPage(page, longTs.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("lo3", wsUrl, undefined, { reconnect: { delay: 1000, maxAttempts: 20 } }), { wsUrl: longTs.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("lo3", { counter: 0 }));
+
+        await page.evaluate(() => {
+            window.blockNetwork();
+            window.simulateDisconnect("lo3");
+            for (let i = 0; i < 6; i++) window.updateStorage("lo3", "counter", "number-increment", 10);
+        });
+        longTs.server.updateRoomStorage(roomId, "counter", "number-increment", 100); // Missed while disconnected
+        await sleep(HEARTBEAT_INTERVAL + 1000);
+        await page.evaluate(() => window.updateStorage("lo3", "counter", "number-increment", 1000)); // Runs garbage collection on the queued updates
+        expect(await page.evaluate(() => window.storage("lo3").counter)).toBe(1060);
+
+        // The queued updates are applied once on top of the received state
+        await page.evaluate(() => window.unblockNetwork());
+        await page.waitForFunction(() => window.getEvents("lo3").reconnected.length === 1, null, { timeout: 10_000 });
+        await expect.poll(() => longTs.server.getRoomStorage(roomId).counter).toBe(1160);
+        expect(await page.evaluate(() => window.storage("lo3").counter)).toBe(1160);
+
+        await page.evaluate(() => window.destroy("lo3"));
+        longTs.close();
+    });
+
+    test("queuedUpdatesRejected fires when the offline queue is full or the server rejects queued updates", async ({ page }) => {
+        const unsubscribe = ts.server.onEvent("storageUpdateRequested", ({ update }) => update.key === "locked" ? "Locked" : true);
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("lo2", wsUrl, undefined, { offlineQueueSize: 2 }), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("lo2", { counter: 0 }));
+
+        await page.evaluate(() => {
+            window.blockNetwork();
+            window.simulateDisconnect("lo2");
+            window.updateStorage("lo2", "counter", "number-increment", 1);
+            window.updateStorage("lo2", "locked", "set", true);
+            window.updateStorage("lo2", "counter", "number-increment", 10); // Queue is full
+        });
+        expect(await page.evaluate(() => window.storage("lo2").counter)).toBe(1);
+
+        await page.evaluate(() => window.unblockNetwork());
+        await page.waitForFunction(() => window.getEvents("lo2").queuedUpdatesRejected.length === 2, null, { timeout: 10_000 });
+        const rejections = await page.evaluate(() => window.getEvents("lo2").queuedUpdatesRejected);
+        expect(rejections.map(({ updates, reason }) => [updates.map(update => update.key), reason])).toEqual([[["counter"], "Offline queue is full"], [["locked"], "Locked"]]);
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ counter: 1 });
+        unsubscribe();
     });
 
     test("network blocked too long - client fails to reconnect", async ({ page }) => {
@@ -121,6 +173,29 @@ test.describe("Reconnection", () => {
         await page.evaluate(() => window.unblockNetwork());
     });
 
+    test("reconnect options limit the attempts and events report them", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        const reconnect = { maxAttempts: 3, delay: 100, strategy: "exponential", jitter: 0.5, timeout: 1000 };
+        await page.evaluate(({ wsUrl, reconnect }) => window.initClient("ro1", wsUrl, undefined, { reconnect }), { wsUrl: ts.wsUrl, reconnect });
+        await page.evaluate(() => window.createRoom("ro1", {}));
+
+        // A single drop reconnects on the first attempt
+        await page.evaluate(() => window.simulateDisconnect("ro1"));
+        await page.waitForFunction(() => window.getEvents("ro1").reconnected.length === 1, null, { timeout: 5_000 });
+        expect(await page.evaluate(() => window.getEvents("ro1").reconnected)).toEqual([1]);
+
+        // With the network blocked, the instance is destroyed after the max. attempts
+        await page.evaluate(() => {
+            window.blockNetwork();
+            window.simulateDisconnect("ro1");
+        });
+        await page.waitForFunction(() => window.getEvents("ro1").instanceDestroyed.some(r => r?.includes("Disconnected, reconnection failed")), null, { timeout: 10_000 });
+        const attempts = await page.evaluate(() => window.getEvents("ro1").reconnecting.slice(1));
+        expect(attempts).toEqual([1, 2, 3].map(attempt => ({ attempt, maxAttempts: 3 })));
+
+        await page.evaluate(() => window.unblockNetwork());
+    });
+
     test("room destroyed by server during reconnection phase - client reconnects but finds no room", async ({ page }) => {
         await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
         await page.evaluate(({ wsUrl }) => window.initClient("rd1", wsUrl), { wsUrl: ts.wsUrl });
@@ -178,9 +253,90 @@ test.describe("Reconnection", () => {
         }, null, { timeout: 20_000 });
     });
 
-    test("room version mismatch forces reconnect", async ({ context }) => {
-        // This tests that the client detects skipped updates via version tracking
-        // We need to observe the behavior when versions don't match
+    test("reconnectGracePeriod option shortens the grace period", async ({ page }) => {
+        const shortTs = await createTestServer({ reconnectGracePeriod: 1000 });
+        await openPage(page, shortTs.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("gp2", wsUrl), { wsUrl: shortTs.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("gp2", {}));
+
+        await page.evaluate(() => {
+            window.blockNetwork();
+            window.simulateDisconnect("gp2");
+        });
+        await sleep(1500);
+        expect(shortTs.server.rooms[roomId]).toBeUndefined();
+
+        await page.evaluate(() => window.unblockNetwork());
+        shortTs.close();
+    });
+
+    test("reloaded page resumes its session from the session store", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("sr1", wsUrl, undefined, { sessionStore: window.sessionStorage }), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("sr1", { score: 7 }));
+
+        // Reload without destroying the client, the server keeps it within the grace period
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        const id = await page.evaluate(({ wsUrl }) => window.initClient("sr1", wsUrl, undefined, { sessionStore: window.sessionStorage }), { wsUrl: ts.wsUrl });
+        expect(id).toBe("sr1");
+        expect(await page.evaluate(() => window.storage("sr1"))).toEqual({ score: 7 });
+        expect(await page.evaluate(() => window.getEvents("sr1").status)).toContain("Session resumed.");
+        expect(ts.server.rooms[roomId].participants).toEqual(["sr1"]);
+        expect(ts.server.rooms[roomId].host).toBe("sr1"); // Restored as the only participant
+
+        // Destroying the client ends the session
+        await page.evaluate(() => window.destroy("sr1"));
+        expect(await page.evaluate(() => window.sessionStorage.getItem("playsocket-session"))).toBeNull();
+    });
+
+    test("resumed session gets the host role back from the interim host", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("sr2", wsUrl, undefined, { sessionStore: window.sessionStorage }), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("sr2", {}));
+        await p2.evaluate(({ wsUrl }) => window.initClient("sr3", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ roomId }) => window.joinRoom("sr3", roomId), { roomId });
+
+        // The other participant is host while the page reloads
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await p2.waitForFunction(() => window.isHost("sr3") === true, null, { timeout: 2_000 });
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("sr2", wsUrl, undefined, { sessionStore: window.sessionStorage }), { wsUrl: ts.wsUrl });
+        expect(await p1.evaluate(() => window.isHost("sr2"))).toBe(true);
+        await p2.waitForFunction(() => window.isHost("sr3") === false, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.getEvents("sr3").hostMigrated)).toEqual(["sr3", "sr2"]);
+        expect(ts.server.rooms[roomId].host).toBe("sr2");
+
+        await p1.evaluate(() => window.destroy("sr2"));
+        await p2.evaluate(() => window.destroy("sr3"));
+        await p1.close(); await p2.close();
+    });
+
+    test("session resumes before the old connection has closed", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("sr4", wsUrl, undefined, { sessionStore: window.sessionStorage }), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("sr4", { score: 7 }));
+
+        // A second client resumes the saved session while the first one is still connected
+        const resumed = await page.evaluate(async ({ wsUrl }) => {
+            const { default: PlaySocket } = await import("/src/client/client.js");
+            window.resumedClient = new PlaySocket(null, { endpoint: wsUrl, sessionStore: window.sessionStorage });
+            const id = await window.resumedClient.init();
+            return { id, roomId: window.resumedClient.roomId, isHost: window.resumedClient.isHost, storage: window.resumedClient.storage };
+        }, { wsUrl: ts.wsUrl });
+        expect(resumed).toEqual({ id: "sr4", roomId, isHost: true, storage: { score: 7 } });
+        expect(ts.server.rooms[roomId].participants).toEqual(["sr4"]);
+
+        // The old connection's client can't take the session back
+        await page.waitForFunction(() => window.getEvents("sr4").instanceDestroyed.length === 1, null, { timeout: 10_000 });
+        expect(ts.server.rooms[roomId].host).toBe("sr4");
+        expect(await page.evaluate(() => window.resumedClient.roomId)).toBe(roomId);
+
+        await page.evaluate(() => window.resumedClient.destroy());
+    });
+
+    test("client that missed other clients' updates while disconnected converges after reconnecting", async ({ context }) => {
         const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
         await openPage(p1, ts.httpUrl, "test-client.html?intercept-ws");
         await openPage(p2, ts.httpUrl, "test-client.html?intercept-ws");
@@ -191,29 +347,145 @@ test.describe("Reconnection", () => {
         await p2.evaluate(({ roomId }) => window.joinRoom("vm2", roomId), { roomId });
         await p1.waitForFunction(() => window.participantCount("vm1") === 2, null, { timeout: 2_000 });
 
-        // Rapid updates that might cause version issues
-        // Client 1 blocks network then client 2 makes updates
-        await p1.evaluate(() => window.simulateDisconnect("vm1"));
-
         // While vm1 is disconnected, vm2 makes updates
-        for (let i = 0; i < 5; i++) {
+        await p1.evaluate(() => window.simulateDisconnect("vm1"));
+        for (let i = 1; i <= 5; i++) {
             await p2.evaluate(({ i }) => window.updateStorage("vm2", "counter", "set", i), { i });
         }
 
-        // vm1 should reconnect and get the correct state
-        await p1.waitForFunction(() => {
-            const ev = window.getEvents("vm1");
-            return ev.status.some(s => s.includes("Reconnected"));
-        }, null, { timeout: 10_000 });
+        await p1.waitForFunction(() => window.getEvents("vm1").status.includes("Reconnected."), null, { timeout: 10_000 });
+        await p1.waitForFunction(() => window.storage("vm1").counter === 5, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.storage("vm2").counter)).toBe(5);
+
+        await p1.close(); await p2.close();
+    });
+
+    test("client resyncs a missed storage update without reconnecting", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("rv1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("rv1", {}));
 
-        await p1.waitForFunction(() => window.storage("vm1")?.counter != null, null, { timeout: 2_000 });
-        const s1 = await p1.evaluate(() => window.storage("vm1"));
-        const s2 = await p2.evaluate(() => window.storage("vm2"));
+        await page.evaluate(() => window.dropMessages("incoming", "property_updated"));
+        ts.server.updateRoomStorage(roomId, "a", "set", 1); // Dropped
+        ts.server.updateRoomStorage(roomId, "b", "set", 2); // Reveals the gap in the room version
+        await page.waitForFunction(() => window.storage("rv1").a === 1 && window.storage("rv1").b === 2, null, { timeout: 2_000 });
 
-        // Both should have the same state after resync
-        expect(s1.counter).toBe(s2.counter);
+        expect(await page.evaluate(() => window.getEvents("rv1").status)).not.toContain("Disconnected.");
+        expect(await page.evaluate(() => window.receivedMessages("resync_failed"))).toHaveLength(0);
 
-        await p1.close(); await p2.close();
+        // Later updates apply normally
+        ts.server.updateRoomStorage(roomId, "a", "set", 3);
+        await page.waitForFunction(() => window.storage("rv1").a === 3, null, { timeout: 2_000 });
+        expect(await page.evaluate(() => window.storage("rv1"))).toEqual(ts.server.getRoomStorage(roomId));
+
+        await page.evaluate(() => window.destroy("rv1"));
+    });
+
+    test("client reconnects when the missed storage updates were evicted from the update buffer", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("rv2", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("rv2", { counter: 0 }));
+
+        // The resync request arrives after the dropped update was evicted
+        await page.evaluate(() => window.dropMessages("incoming", "property_updated"));
+        for (let i = 0; i <= UPDATE_BUFFER_SIZE; i++) ts.server.updateRoomStorage(roomId, "counter", "number-increment", 1);
+
+        await page.waitForFunction(() => window.getEvents("rv2").status.includes("Reconnected."), null, { timeout: 10_000 });
+        expect(await page.evaluate(() => window.receivedMessages("resync_failed"))).toHaveLength(1);
+        await page.waitForFunction(({ count }) => window.storage("rv2").counter === count, { count: UPDATE_BUFFER_SIZE + 1 }, { timeout: 2_000 });
+
+        await page.evaluate(() => window.destroy("rv2"));
+    });
+
+    test("client reconnects when the resync request gets no answer", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("rv3", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("rv3", {}));
+
+        await page.evaluate(() => {
+            window.dropMessages("incoming", "property_updated");
+            window.dropMessages("outgoing", "resync"); // Lost request
+        });
+        ts.server.updateRoomStorage(roomId, "a", "set", 1); // Dropped
+        ts.server.updateRoomStorage(roomId, "b", "set", 2); // Reveals the gap in the room version
+
+        await page.waitForFunction(() => window.getEvents("rv3").status.includes("Reconnected."), null, { timeout: 10_000 });
+        await page.waitForFunction(() => window.storage("rv3").a === 1 && window.storage("rv3").b === 2, null, { timeout: 2_000 });
+
+        // Later updates apply normally
+        ts.server.updateRoomStorage(roomId, "a", "set", 3);
+        await page.waitForFunction(() => window.storage("rv3").a === 3, null, { timeout: 2_000 });
+
+        await page.evaluate(() => window.destroy("rv3"));
+    });
+
+    test("delta reconnect only sends the missed operations", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("dr1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("dr1", { counter: 0 }));
+        await page.evaluate(() => { for (let i = 0; i < 5; i++) window.updateStorage("dr1", "counter", "number-increment", 1); });
+        await expect.poll(() => ts.server.getRoomStorage(roomId).counter).toBe(5);
+
+        await page.evaluate(() => {
+            window.blockNetwork();
+            window.simulateDisconnect("dr1");
+        });
+        ts.server.updateRoomStorage(roomId, "other", "set", 1); // Missed while disconnected
+        await page.evaluate(() => window.unblockNetwork());
+        await page.waitForFunction(() => window.getEvents("dr1").status.includes("Reconnected."), null, { timeout: 10_000 });
+
+        const { roomData } = await page.evaluate(() => window.receivedMessages("reconnected")[0]);
+        expect(roomData.state).toBeUndefined();
+        expect(roomData.delta.keyOperations.map(([key, ops]) => [key, ops.length])).toEqual([["other", 1]]);
+        expect(await page.evaluate(() => window.storage("dr1"))).toEqual({ counter: 5, other: 1 });
+
+        await page.evaluate(() => window.destroy("dr1"));
+    });
+
+    test("updates the server never received are reverted after a delta reconnect", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("dr2", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("dr2", { counter: 0 }));
+        await page.evaluate(() => { for (let i = 0; i < 5; i++) window.updateStorage("dr2", "counter", "number-increment", 1); });
+        await expect.poll(() => ts.server.getRoomStorage(roomId).counter).toBe(5);
+
+        // Lost on the way to the server, garbage collection must not compact them before they are confirmed
+        await page.evaluate(() => {
+            window.dropMessages("outgoing", "update_property", 2);
+            window.updateStorage("dr2", "counter", "number-increment", 100);
+        });
+        await sleep(HEARTBEAT_INTERVAL + 1000);
+        await page.evaluate(() => window.updateStorage("dr2", "counter", "number-increment", 1000));
+        expect(await page.evaluate(() => window.storage("dr2").counter)).toBe(1105);
+
+        await page.evaluate(() => window.simulateDisconnect("dr2"));
+        await page.waitForFunction(() => window.getEvents("dr2").status.includes("Reconnected."), null, { timeout: 10_000 });
+        expect(await page.evaluate(() => window.receivedMessages("reconnected")[0].roomData.delta)).toBeDefined();
+        expect(await page.evaluate(() => window.storage("dr2").counter)).toBe(5);
+        expect(ts.server.getRoomStorage(roomId).counter).toBe(5);
+
+        await page.evaluate(() => window.destroy("dr2"));
+    });
+
+    test("reconnect falls back to the full state when the missed operations were compacted", async ({ page }) => {
+        await openPage(page, ts.httpUrl, "test-client.html?intercept-ws");
+        await page.evaluate(({ wsUrl }) => window.initClient("dr3", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("dr3", {}));
+
+        // Missed without noticing, then compacted by the server's garbage collection
+        await page.evaluate(() => window.dropMessages("incoming", "property_updated", 7));
+        for (let i = 0; i < 6; i++) ts.server.updateRoomStorage(roomId, "other", "number-increment", 1);
+        await sleep(HEARTBEAT_INTERVAL + 1000);
+        ts.server.updateRoomStorage(roomId, "other", "number-increment", 1);
+
+        await page.evaluate(() => window.simulateDisconnect("dr3"));
+        await page.waitForFunction(() => window.getEvents("dr3").status.includes("Reconnected."), null, { timeout: 10_000 });
+        const { roomData } = await page.evaluate(() => window.receivedMessages("reconnected")[0]);
+        expect(roomData.delta).toBeUndefined();
+        expect(roomData.state).toBeDefined();
+        expect(await page.evaluate(() => window.storage("dr3"))).toEqual({ other: 7 });
+
+        await page.evaluate(() => window.destroy("dr3"));
     });
 
     // Host migration during reconnection --------------
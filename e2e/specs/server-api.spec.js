@@ -49,6 +49,26 @@ test.describe("Server API", () => {
         ts.close();
     });
 
+    test("server getUpdateDetails includes the path of nested storage updates", async ({ page }) => {
+        let details;
+        const ts = await createTestServer({
+            eventHandlers: {
+                storageUpdateRequested: ({ update }) => {
+                    details = ts.server.getUpdateDetails(update);
+                }
+            }
+        });
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("sr6", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("sr6", { players: { alice: { score: 0 } } }));
+
+        await page.evaluate(() => window.updateStorage("sr6", "players.alice.score", "number-increment", 3));
+
+        await expect.poll(() => details, { timeout: 5_000 }).toEqual({ key: "players", type: "number-increment", value: 3, secondValue: null, path: ["alice", "score"] });
+        expect(ts.server.getRoomStorage(roomId).players.alice.score).toBe(3);
+        ts.close();
+    });
+
     test("server updateRoomStorage broadcasts to all room participants", async ({ context }) => {
         const ts = await createTestServer();
         const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
@@ -75,6 +95,27 @@ test.describe("Server API", () => {
         ts.close();
     });
 
+    test("server transaction and updateRoomStorageBatch apply updates all-or-nothing", async ({ page }) => {
+        const ts = await createTestServer();
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("st1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await page.evaluate(() => window.createRoom("st1", { round: 1, board: ["x"] }));
+
+        ts.server.transaction(roomId, () => {
+            ts.server.updateRoomStorage(roomId, "round", "number-increment", 1);
+            ts.server.updateRoomStorage(roomId, "board", "set", []);
+        });
+        expect(() => ts.server.transaction(roomId, () => {
+            ts.server.updateRoomStorage(roomId, "round", "set", 99);
+            throw new Error("Aborted");
+        })).toThrow("Aborted");
+        ts.server.updateRoomStorageBatch(roomId, [{ key: "round", type: "set", value: 99 }, { key: "invalid..path", type: "set", value: 1 }]);
+
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ round: 2, board: [] });
+        await page.waitForFunction(() => window.storage("st1")?.round === 2 && window.storage("st1").board.length === 0, null, { timeout: 5_000 });
+        ts.close();
+    });
+
     test("server responds to request via updateRoomStorage", async ({ page }) => {
         const ts = await createTestServer({
             eventHandlers: {
@@ -183,6 +224,143 @@ test.describe("Server API", () => {
         ts.close();
     });
 
+    test("sendToClient, sendToRoom and broadcastAll push messages to the right clients", async ({ context }) => {
+        const ts = await createTestServer();
+        const [p1, p2, p3] = await Promise.all([context.newPage(), context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await openPage(p3, ts.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("sm1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("sm1", {}));
+        await p2.evaluate(({ wsUrl }) => window.initClient("sm2", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ roomId }) => window.joinRoom("sm2", roomId), { roomId });
+        await p3.evaluate(({ wsUrl }) => window.initClient("sm3", wsUrl), { wsUrl: ts.wsUrl }); // Not in the room
+
+        ts.server.sendToClient("sm2", "reward", { coins: 50 });
+        ts.server.sendToRoom(roomId, "round-starting", 3);
+        ts.server.broadcastAll("maintenance");
+
+        await p1.waitForFunction(() => window.getEvents("sm1").serverMessage.length === 2, null, { timeout: 2_000 });
+        await p2.waitForFunction(() => window.getEvents("sm2").serverMessage.length === 3, null, { timeout: 2_000 });
+        await p3.waitForFunction(() => window.getEvents("sm3").serverMessage.length === 1, null, { timeout: 2_000 });
+
+        expect(await p1.evaluate(() => window.getEvents("sm1").serverMessage.map(m => m.name))).toEqual(["round-starting", "maintenance"]);
+        expect(await p2.evaluate(() => window.getEvents("sm2").serverMessage[0])).toEqual({ name: "reward", data: { coins: 50 } });
+        expect(await p3.evaluate(() => window.getEvents("sm3").serverMessage[0].name)).toBe("maintenance");
+        expect(() => ts.server.sendToRoom("NONEXISTENT", "test")).toThrow("Room not found");
+
+        await p1.close(); await p2.close(); await p3.close();
+        ts.close();
+    });
+
+    // Matchmaking tests ----------------
+
+    test("createQueue matches compatible waiting clients into a new room", async ({ context }) => {
+        const ts = await createTestServer();
+        const created = [];
+        ts.server.onEvent("matchCreated", (match) => created.push(match));
+        ts.server.createQueue("duel", { minPlayers: 2, skillRange: 100, initialStorage: { round: 1 } });
+
+        const pages = await Promise.all([1, 2, 3].map(() => context.newPage()));
+        for (const [i, p] of pages.entries()) {
+            await openPage(p, ts.httpUrl, "test-client.html");
+            await p.evaluate(({ id, wsUrl }) => window.initClient(id, wsUrl), { id: "mm" + (i + 1), wsUrl: ts.wsUrl });
+        }
+
+        await pages[0].evaluate(() => window.enqueue("mm1", "duel", { skill: 1000 }));
+        await pages[1].evaluate(() => window.enqueue("mm2", "duel", { skill: 1500 })); // Out of skill range
+        await pages[2].evaluate(() => window.enqueue("mm3", "duel", { skill: 1050 }));
+
+        await pages[0].waitForFunction(() => window.getEvents("mm1").matchFound.length === 1, null, { timeout: 2_000 });
+        await pages[2].waitForFunction(() => window.getEvents("mm3").matchFound.length === 1, null, { timeout: 2_000 });
+        const { roomId, queue } = await pages[2].evaluate(() => window.getEvents("mm3").matchFound[0]);
+        expect(queue).toBe("duel");
+        expect(ts.server.rooms[roomId].participants).toEqual(["mm1", "mm3"]);
+        expect(ts.server.rooms[roomId].size).toBe(2);
+        expect(await pages[2].evaluate(() => window.storage("mm3"))).toEqual({ round: 1 });
+        expect(await pages[0].evaluate(() => window.isHost("mm1"))).toBe(true);
+        expect(created).toEqual([{ queue: "duel", roomId, clientIds: ["mm1", "mm3"] }]);
+
+        // The unmatched client is removed from the queue when it is destroyed
+        ts.server.destroyQueue("duel");
+        await pages[1].waitForFunction(() => window.getEvents("mm2").status.some(s => s.includes("Queue destroyed by server")), null, { timeout: 2_000 });
+        expect(await pages[1].evaluate(async () => {
+            try { await window.enqueue("mm2", "duel"); return null; }
+            catch (e) { return e.message; }
+        })).toContain("Queue not found");
+
+        for (const p of pages) await p.close();
+        ts.close();
+    });
+
+    test("createQueue only matches clients that are all within the skill range of each other", async ({ context }) => {
+        const ts = await createTestServer();
+        ts.server.createQueue("trio", { minPlayers: 3, maxPlayers: 3, skillRange: 100 });
+
+        const pages = await Promise.all([1, 2, 3, 4].map(() => context.newPage()));
+        for (const [i, p] of pages.entries()) {
+            await openPage(p, ts.httpUrl, "test-client.html");
+            await p.evaluate(({ id, wsUrl }) => window.initClient(id, wsUrl), { id: "sk" + (i + 1), wsUrl: ts.wsUrl });
+        }
+
+        await pages[0].evaluate(() => window.enqueue("sk1", "trio", { skill: 1000 }));
+        await pages[1].evaluate(() => window.enqueue("sk2", "trio", { skill: 1090 }));
+        await pages[2].evaluate(() => window.enqueue("sk3", "trio", { skill: 910 })); // Within range of sk1, but not of sk2
+        await sleep(200);
+        expect(Object.keys(ts.server.rooms)).toEqual([]);
+
+        await pages[3].evaluate(() => window.enqueue("sk4", "trio", { skill: 1050 }));
+        await pages[3].waitForFunction(() => window.getEvents("sk4").matchFound.length === 1, null, { timeout: 2_000 });
+        const { roomId } = await pages[3].evaluate(() => window.getEvents("sk4").matchFound[0]);
+        expect(ts.server.rooms[roomId].participants).toEqual(["sk1", "sk2", "sk4"]);
+        expect(await pages[2].evaluate(() => window.getEvents("sk3").matchFound)).toEqual([]);
+
+        for (const p of pages) await p.close();
+        ts.close();
+    });
+
+    test("dequeue and joining a room remove the client from the queue", async ({ context }) => {
+        const ts = await createTestServer();
+        ts.server.createQueue("pairs");
+        const lobby = ts.server.createRoom({});
+        const [p1, p2, p3] = await Promise.all([context.newPage(), context.newPage(), context.newPage()]);
+        for (const [id, p] of [["dq1", p1], ["dq2", p2], ["dq3", p3]]) {
+            await openPage(p, ts.httpUrl, "test-client.html");
+            await p.evaluate(({ id, wsUrl }) => window.initClient(id, wsUrl), { id, wsUrl: ts.wsUrl });
+        }
+
+        await p1.evaluate(() => window.enqueue("dq1", "pairs"));
+        await p1.evaluate(() => window.dequeue("dq1"));
+        await p2.evaluate(() => window.enqueue("dq2", "pairs"));
+        await p2.evaluate(({ roomId }) => window.joinRoom("dq2", roomId), { roomId: lobby.id });
+        await p3.evaluate(() => window.enqueue("dq3", "pairs"));
+        await sleep(200);
+
+        // Nobody else is waiting, so no match was created
+        expect(await p3.evaluate(() => window.getEvents("dq3").matchFound)).toEqual([]);
+        expect(Object.keys(ts.server.rooms)).toEqual([lobby.id]);
+
+        // A client in a room can't enqueue
+        expect(await p2.evaluate(async () => {
+            try { await window.enqueue("dq2", "pairs"); return null; }
+            catch (e) { return e.message; }
+        })).toContain("Already in a room");
+
+        await p1.close(); await p2.close(); await p3.close();
+        ts.close();
+    });
+
+    test("createQueue validates its options", async () => {
+        const ts = await createTestServer();
+        expect(() => ts.server.createQueue("bad", { minPlayers: 0 })).toThrow("minPlayers");
+        expect(() => ts.server.createQueue("bad", { minPlayers: 4, maxPlayers: 2 })).toThrow("maxPlayers");
+        ts.server.createQueue("good");
+        expect(() => ts.server.createQueue("good")).toThrow("Queue already exists");
+        expect(() => ts.server.destroyQueue("missing")).toThrow("Queue not found");
+        ts.close();
+    });
+
     // move() tests ----------------
 
     test("move() moves client to different room with correct storage", async ({ page }) => {
@@ -1,6 +1,10 @@
 import { test, expect } from "@playwright/test";
 import { createServer } from "node:http";
+import { mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import { createTestServer, getNextPort } from "../helpers/test-server.js";
+import { JSONFileAdapter } from "../../src/server/server.js";
 import { openPage, sleep } from "../helpers/playwright-helpers.js";
 
 test.describe("Server configuration", () => {
@@ -131,4 +135,55 @@ test.describe("Server configuration", () => {
         for (const p of pages) await p.close();
         ts.close();
     });
+
+    test("persistence saves server-owned rooms and skips client-owned ones", async () => {
+        const saved = new Map();
+        const persistence = {
+            save: (roomId, snapshot) => { saved.set(roomId, structuredClone(snapshot)); },
+            remove: (roomId) => { saved.delete(roomId); },
+            loadAll: () => Object.fromEntries(saved)
+        };
+        const ts = await createTestServer({ persistence });
+
+        const lobby = ts.server.createRoom({ score: 0 }, 8, "server", { isPublic: true, metadata: { name: "Lobby" } });
+        const clientRoom = ts.server.createRoom({}, 4, "some-client");
+        expect([...saved.keys()]).toEqual([lobby.id]);
+        expect(saved.get(lobby.id)).toMatchObject({ host: "server", size: 8, version: 0, isPublic: true, metadata: { name: "Lobby" } });
+
+        // Updates are saved debounced and flushed on stop()
+        ts.server.updateRoomStorage(lobby.id, "score", "number-increment", 3);
+        ts.server.updateRoomStorage(clientRoom.id, "x", "set", 1);
+        expect(saved.get(lobby.id).version).toBe(0);
+        ts.close();
+        expect(saved.get(lobby.id).version).toBe(1);
+        expect([...saved.keys()]).toEqual([lobby.id]);
+    });
+
+    test("restoreRooms() restores rooms saved by the JSON file adapter", async () => {
+        const directory = mkdtempSync(join(tmpdir(), "playsocket-"));
+        const first = await createTestServer({ persistence: new JSONFileAdapter(directory) });
+        const lobby = first.server.createRoom({ players: [] }, 8, "server", { isPublic: true, metadata: { name: "Lobby" } });
+        const removed = first.server.createRoom({});
+        first.server.updateRoomStorage(lobby.id, "players", "array-add", "Player1");
+        first.server.destroyRoom(removed.id);
+        await sleep(50);
+        first.close();
+        expect(readdirSync(directory)).toEqual([lobby.id + ".json"]);
+
+        const second = await createTestServer({ persistence: new JSONFileAdapter(directory) });
+        expect(await second.server.restoreRooms()).toEqual([lobby.id]);
+        expect(second.server.getRoomStorage(lobby.id)).toEqual({ players: ["Player1"] });
+        expect(second.server.rooms[lobby.id]).toMatchObject({ participants: [], host: "server", size: 8, isPublic: true, metadata: { name: "Lobby" } });
+
+        // Already existing rooms are skipped
+        expect(await second.server.restoreRooms()).toEqual([]);
+        second.close();
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("restoreRooms() requires a persistence adapter", async () => {
+        const ts = await createTestServer();
+        await expect(ts.server.restoreRooms()).rejects.toThrow("No persistence adapter configured");
+        ts.close();
+    });
 });
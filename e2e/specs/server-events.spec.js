@@ -413,6 +413,55 @@ test.describe("Server events", () => {
         ts.close();
     });
 
+    test("requestReceived return value resolves sendRequest with the response", async ({ page }) => {
+        const ts = await createTestServer({
+            eventHandlers: {
+                requestReceived: async ({ name, data }) => {
+                    if (name === "buy") return { item: data.item, receipt: "R-1" };
+                    if (name === "count") return 0;
+                }
+            }
+        });
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("rr7", wsUrl), { wsUrl: ts.wsUrl });
+
+        expect(await page.evaluate(() => window.sendRequest("rr7", "buy", { item: "sword" }))).toEqual({ item: "sword", receipt: "R-1" });
+        expect(await page.evaluate(() => window.sendRequest("rr7", "count"))).toBe(0); // Falsy responses are preserved
+        expect(await page.evaluate(async () => (await window.sendRequest("rr7", "other")) === undefined)).toBe(true); // No return value resolves with undefined
+        ts.close();
+    });
+
+    test("roomListRequested can override the listing or reject it", async ({ page }) => {
+        const log = [];
+        const ts = await createTestServer({
+            eventHandlers: {
+                roomListRequested: ({ clientId, filter, rooms }) => {
+                    log.push({ clientId, filter, count: rooms.length });
+                    if (filter.mode === "secret") return "Not allowed";
+                    return rooms.filter(r => r.participantCount < r.size); // Hide full rooms
+                }
+            }
+        });
+        ts.server.createRoom({}, 1, "server", { isPublic: true, metadata: { mode: "duel" } });
+        const full = ts.server.createRoom({}, 1, "server", { isPublic: true, metadata: { mode: "duel" } });
+
+        await openPage(page, ts.httpUrl, "test-client.html");
+        await page.evaluate(({ wsUrl }) => window.initClient("rl1", wsUrl), { wsUrl: ts.wsUrl });
+        await page.evaluate(({ roomId }) => window.joinRoom("rl1", roomId), { roomId: full.id });
+
+        const rooms = await page.evaluate(() => window.listRooms("rl1", { mode: "duel" }));
+        expect(rooms).toHaveLength(1);
+        expect(rooms[0].id).not.toBe(full.id);
+
+        const err = await page.evaluate(async () => {
+            try { await window.listRooms("rl1", { mode: "secret" }); return null; }
+            catch (e) { return e.message; }
+        });
+        expect(err).toContain("Not allowed");
+        expect(log[0]).toEqual({ clientId: "rl1", filter: { mode: "duel" }, count: 2 });
+        ts.close();
+    });
+
     test("storageUpdateRequested returns false - update rejected and reverted", async ({ page }) => {
         const consoleWarnings = [];
         page.on("console", msg => { if (msg.type() === "warning") consoleWarnings.push(msg.text()); });
@@ -494,6 +543,40 @@ test.describe("Server events", () => {
         ts.close();
     });
 
+    test("messageRequested fires with message details and can block delivery", async ({ context }) => {
+        const log = [];
+        const ts = await createTestServer({
+            eventHandlers: {
+                messageRequested: (data) => {
+                    log.push(data);
+                    if (data.payload === "blocked") return "Message not allowed";
+                }
+            }
+        });
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        const consoleWarnings = [];
+        p1.on("console", msg => { if (msg.type() === "warning") consoleWarnings.push(msg.text()); });
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+
+        await p1.evaluate(({ wsUrl }) => window.initClient("mr1", wsUrl), { wsUrl: ts.wsUrl });
+        const roomId = await p1.evaluate(() => window.createRoom("mr1", {}));
+        await p2.evaluate(({ wsUrl }) => window.initClient("mr2", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ roomId }) => window.joinRoom("mr2", roomId), { roomId });
+
+        await p1.evaluate(() => window.sendMessage("mr1", "mr2", "blocked"));
+        await expect.poll(() => consoleWarnings.some(w => w.includes("Message not allowed")), { timeout: 2_000 }).toBe(true);
+
+        await p1.evaluate(() => window.broadcast("mr1", "allowed"));
+        await p2.waitForFunction(() => window.getEvents("mr2").message.length === 1, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.getEvents("mr2").message[0].payload)).toBe("allowed");
+
+        expect(log[0]).toEqual({ roomId, clientId: "mr1", target: "mr2", payload: "blocked" });
+        expect(log[1]).toEqual({ roomId, clientId: "mr1", target: null, payload: "allowed" });
+        await p1.close(); await p2.close();
+        ts.close();
+    });
+
     test("roomDestroyed fires when room auto-destroys and via destroyRoom", async ({ context }) => {
         let resolveDestroyed;
         let destroyedPromise = new Promise(r => { resolveDestroyed = r; });
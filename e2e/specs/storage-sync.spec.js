@@ -124,6 +124,67 @@ test.describe("Storage sync", () => {
         expect(s.prices).toEqual({ stone: 3 });
     });
 
+    // Text operations -----------
+
+    test("text-insert and text-delete merge concurrent edits", async () => {
+        await page1.evaluate(({ id }) => window.updateStorage(id, "note", "set", "hello"), { id: page1.__cid });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.note === "hello", { id: page2.__cid });
+        await Promise.all([
+            page1.evaluate(({ id }) => window.updateStorage(id, "note", "text-insert", 5, " world"), { id: page1.__cid }),
+            page2.evaluate(({ id }) => { window.updateStorage(id, "note", "text-delete", 0, 1); window.updateStorage(id, "note", "text-insert", 0, "H"); }, { id: page2.__cid })
+        ]);
+        await page1.waitForFunction(({ id }) => window.storage(id)?.note === "Hello world", { id: page1.__cid }, { timeout: 2_000 });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.note === "Hello world", { id: page2.__cid }, { timeout: 2_000 });
+    });
+
+    test("array-insert-at and array-move keep item positions", async () => {
+        await page1.evaluate(({ id }) => window.updateStorage(id, "items", "set", ["a", "b", "c"]), { id: page1.__cid });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.items?.length === 3, { id: page2.__cid });
+        await Promise.all([
+            page1.evaluate(({ id }) => window.updateStorage(id, "items", "array-move", 2, 0), { id: page1.__cid }),
+            page2.evaluate(({ id }) => window.updateStorage(id, "items", "array-insert-at", 1, "x"), { id: page2.__cid })
+        ]);
+        await page1.waitForFunction(({ id }) => window.storage(id)?.items?.join() === "c,a,x,b", { id: page1.__cid }, { timeout: 2_000 });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.items?.join() === "c,a,x,b", { id: page2.__cid }, { timeout: 2_000 });
+    });
+
+    // Transactions -----------
+
+    test("transaction applies multiple updates atomically", async () => {
+        const versions = [];
+        const unsubscribeUpdated = ts.server.onEvent("storageUpdated", ({ updates }) => versions.push(updates.length));
+        await page1.evaluate(({ id }) => window.transaction(id, [["score", "number-increment", 5], ["items", "array-add", "sword"]]), { id: page1.__cid });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.items?.includes("sword"), { id: page2.__cid }, { timeout: 2_000 });
+        expect(await page2.evaluate(({ id }) => window.storage(id).score, { id: page2.__cid })).toBe(5);
+        expect(versions).toEqual([2]); // One storageUpdated event for both updates
+
+        // One rejected update rejects the whole transaction
+        const unsubscribeRequested = ts.server.onEvent("storageUpdateRequested", ({ update }) => ts.server.getUpdateDetails(update).value === "axe" ? "No axes" : true);
+        await page2.evaluate(({ id }) => window.transaction(id, [["score", "number-increment", 1], ["items", "array-add", "axe"]]), { id: page2.__cid });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.score === 5 && !window.storage(id).items.includes("axe"), { id: page2.__cid }, { timeout: 2_000 });
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ items: ["sword"], score: 5 });
+
+        // Undone as a whole
+        await page1.evaluate(({ id }) => window.undo(id), { id: page1.__cid });
+        await page2.waitForFunction(({ id }) => window.storage(id)?.score === 0 && window.storage(id).items.length === 0, { id: page2.__cid }, { timeout: 2_000 });
+        unsubscribeUpdated();
+        unsubscribeRequested();
+    });
+
+    test("compare-and-set lets only the first concurrent update win", async () => {
+        await page1.evaluate(({ id }) => window.updateStorage(id, "flag", "set", null), { id: page1.__cid });
+        await page2.waitForFunction(({ id }) => "flag" in window.storage(id), { id: page2.__cid }, { timeout: 2_000 });
+        const [won1, won2] = await Promise.all([
+            page1.evaluate(({ id }) => window.updateStorage(id, "flag", "compare-and-set", null, id), { id: page1.__cid }),
+            page2.evaluate(({ id }) => window.updateStorage(id, "flag", "compare-and-set", null, id), { id: page2.__cid })
+        ]);
+        expect([won1, won2].filter(Boolean)).toHaveLength(1);
+
+        const winner = won1 ? page1.__cid : page2.__cid;
+        await page1.waitForFunction(({ id, winner }) => window.storage(id)?.flag === winner, { id: page1.__cid, winner }, { timeout: 2_000 });
+        await page2.waitForFunction(({ id, winner }) => window.storage(id)?.flag === winner, { id: page2.__cid, winner }, { timeout: 2_000 });
+    });
+
     // Number operation -----------
 
     test("number-increment increments and decrements", async () => {
@@ -529,4 +590,230 @@ test.describe("Storage sync", () => {
 
         await p1.close(); await p2.close();
     });
+
+    test("hostAuthority forwards updates of other participants to the host for approval", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("ha1", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("ha2", wsUrl), { wsUrl: ts.wsUrl });
+
+        const roomId = await p1.evaluate(() => window.createRoom("ha1", { score: 0, notes: [] }, 4, { hostAuthority: ["score"] }));
+        await p1.evaluate(() => {
+            window.reviews = [];
+            window.onEvent("ha1", "storageUpdateRequested", ({ clientId, key, type, value }) => {
+                window.reviews.push({ clientId, key, type, value });
+                if (value < 0) return "No negative scores";
+            });
+        });
+        await p2.evaluate(({ roomId }) => window.joinRoom("ha2", roomId), { roomId });
+
+        // Approved by the host
+        await p2.evaluate(() => window.updateStorage("ha2", "score", "set", 5));
+        await p1.waitForFunction(() => window.storage("ha1").score === 5, null, { timeout: 2_000 });
+        expect(await p1.evaluate(() => window.reviews)).toEqual([{ clientId: "ha2", key: "score", type: "set", value: 5 }]);
+
+        // Rejected by the host and reverted locally
+        await p2.evaluate(() => window.updateStorage("ha2", "score", "set", -1));
+        await p2.waitForFunction(() => window.storage("ha2").score === 5, null, { timeout: 2_000 });
+        expect(ts.server.getRoomStorage(roomId).score).toBe(5);
+
+        // Keys without host authority and the host's own updates are applied directly
+        await p2.evaluate(() => window.updateStorage("ha2", "notes", "array-add", "hi"));
+        await p1.evaluate(() => window.updateStorage("ha1", "score", "set", -10));
+        await p2.waitForFunction(() => window.storage("ha2").score === -10 && window.storage("ha2").notes.length === 1, null, { timeout: 2_000 });
+        expect(await p1.evaluate(() => window.reviews.length)).toBe(2);
+
+        expect(() => ts.server.createRoom({}, 4, "server", { hostAuthority: "score" })).toThrow("hostAuthority");
+
+        await p1.evaluate(() => window.destroy("ha1"));
+        await p2.evaluate(() => window.destroy("ha2"));
+        await p1.close(); await p2.close();
+    });
+
+    test("room permissions restrict who can write which keys and operations", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("pm1", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("pm2", wsUrl), { wsUrl: ts.wsUrl });
+
+        const permissions = {
+            scores: { writers: "server" },
+            players: { writers: "host" },
+            "players.$clientId": { writers: "all" },
+            chat: { operations: ["array-add"] },
+            settings: { writers: "host" }
+        };
+        const roomId = await p1.evaluate(({ permissions }) => window.createRoom("pm1", { scores: {}, players: { pm1: {}, pm2: {} }, chat: [], settings: {} }, 4, { permissions }), { permissions });
+        await p2.evaluate(({ roomId }) => window.joinRoom("pm2", roomId), { roomId });
+
+        // Rejected updates are reverted locally
+        await p2.evaluate(() => {
+            window.updateStorage("pm2", "scores.pm2", "set", 100); // Server only
+            window.updateStorage("pm2", "players.pm1.name", "set", "Mallory"); // Other client's entry
+            window.updateStorage("pm2", "players", "object-remove-key", "pm1"); // Parent is host only
+            window.updateStorage("pm2", "chat", "set", []); // Operation not allowed
+            window.updateStorage("pm2", "settings", "set", { mode: "easy" }); // Host only
+        });
+        await p2.waitForFunction(() => JSON.stringify(window.storage("pm2")) === JSON.stringify({ scores: {}, players: { pm1: {}, pm2: {} }, chat: [], settings: {} }), null, { timeout: 2_000 });
+
+        // Allowed updates
+        await p2.evaluate(() => {
+            window.updateStorage("pm2", "players.pm2.name", "set", "Bob");
+            window.updateStorage("pm2", "chat", "array-add", "hello");
+        });
+        await p1.evaluate(() => window.updateStorage("pm1", "settings", "set", { mode: "hard" }));
+        ts.server.updateRoomStorage(roomId, "scores.pm1", "set", 10);
+        await p2.waitForFunction(() => window.storage("pm2").settings.mode === "hard" && window.storage("pm2").scores.pm1 === 10, null, { timeout: 2_000 });
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ scores: { pm1: 10 }, players: { pm1: {}, pm2: { name: "Bob" } }, chat: ["hello"], settings: { mode: "hard" } });
+
+        expect(() => ts.server.createRoom({}, 4, "server", { permissions: { chat: { writers: "nobody" } } })).toThrow("writers");
+
+        await p1.evaluate(() => window.destroy("pm1"));
+        await p2.evaluate(() => window.destroy("pm2"));
+        await p1.close(); await p2.close();
+    });
+
+    test("writes to a parent path must be allowed by the rules below it", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("pa1", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("pa2", wsUrl), { wsUrl: ts.wsUrl });
+
+        const permissions = {
+            "scores.boss": { writers: "server" },
+            "players.*": { writers: "host" },
+            "game.chat": { operations: ["array-add"] }
+        };
+        const initialStorage = { scores: { boss: 1 }, players: { pa1: {} }, game: { chat: ["hi"] } };
+        const roomId = await p1.evaluate(({ initialStorage, permissions }) => window.createRoom("pa1", initialStorage, 4, { permissions }), { initialStorage, permissions });
+        await p2.evaluate(({ roomId }) => window.joinRoom("pa2", roomId), { roomId });
+
+        // Overwriting a parent would overwrite the restricted paths below it
+        await p2.evaluate(() => {
+            window.updateStorage("pa2", "scores", "set", { boss: 999 }); // Server only below
+            window.updateStorage("pa2", "players", "set", {}); // Host only below
+            window.updateStorage("pa2", "game", "set", { chat: [] }); // Only appending below
+        });
+        await p1.evaluate(() => window.updateStorage("pa1", "scores", "set", {})); // Server only below, even for the host
+        await p2.waitForFunction(({ initialStorage }) => JSON.stringify(window.storage("pa2")) === JSON.stringify(initialStorage), { initialStorage }, { timeout: 2_000 });
+        await p1.waitForFunction(({ initialStorage }) => JSON.stringify(window.storage("pa1")) === JSON.stringify(initialStorage), { initialStorage }, { timeout: 2_000 });
+
+        // Allowed parent writes and writes beside the restricted paths
+        await p1.evaluate(() => window.updateStorage("pa1", "players", "set", { pa1: { ready: true } }));
+        await p2.evaluate(() => window.updateStorage("pa2", "scores.pa2", "set", 5));
+        await p2.waitForFunction(() => window.storage("pa2").players.pa1?.ready === true && window.storage("pa2").scores.pa2 === 5, null, { timeout: 2_000 });
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ scores: { boss: 1, pa2: 5 }, players: { pa1: { ready: true } }, game: { chat: ["hi"] } });
+
+        await p1.evaluate(() => window.destroy("pa1"));
+        await p2.evaluate(() => window.destroy("pa2"));
+        await p1.close(); await p2.close();
+    });
+
+    test("room schema rejects updates and initial storage with invalid values", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("sc1", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("sc2", wsUrl), { wsUrl: ts.wsUrl });
+
+        const schema = {
+            score: { type: "integer", minimum: 0, maximum: 100 },
+            mode: { enum: ["easy", "hard"] },
+            tags: { type: "array", maxItems: 2, items: { type: "string", maxLength: 5 } },
+            player: { type: "object", properties: { name: { type: "string" } }, required: ["name"], additionalProperties: false }
+        };
+        const error = await p1.evaluate(async ({ schema }) => {
+            try { await window.createRoom("sc1", { score: 101 }, 4, { schema }); return null; }
+            catch (e) { return e.message; }
+        }, { schema });
+        expect(error).toContain("\"score\" must be at most 100");
+
+        const roomId = await p1.evaluate(({ schema }) => window.createRoom("sc1", { score: 0, mode: "easy", tags: [], player: { name: "Ann" } }, 4, { schema }), { schema });
+        await p2.evaluate(({ roomId }) => window.joinRoom("sc2", roomId), { roomId });
+
+        await p2.evaluate(() => {
+            window.updateStorage("sc2", "score", "number-increment", 101);
+            window.updateStorage("sc2", "score", "set", 1.5);
+            window.updateStorage("sc2", "mode", "set", "insane");
+            window.updateStorage("sc2", "tags", "array-add", "toolong");
+            window.updateStorage("sc2", "player", "object-remove-key", "name");
+            window.updateStorage("sc2", "player.age", "set", 30);
+        });
+        await p2.waitForFunction(() => JSON.stringify(window.storage("sc2")) === JSON.stringify({ score: 0, mode: "easy", tags: [], player: { name: "Ann" } }), null, { timeout: 2_000 });
+
+        await p2.evaluate(() => {
+            window.updateStorage("sc2", "score", "number-increment", 100);
+            window.updateStorage("sc2", "tags", "array-add", "red");
+            window.updateStorage("sc2", "player.name", "set", "Bo");
+            window.updateStorage("sc2", "other", "set", { anything: true }); // Keys without a schema are not validated
+        });
+        await p1.waitForFunction(() => window.storage("sc1").player.name === "Bo" && window.storage("sc1").other, null, { timeout: 2_000 });
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ score: 100, mode: "easy", tags: ["red"], player: { name: "Bo" }, other: { anything: true } });
+
+        await p1.evaluate(() => window.destroy("sc1"));
+        await p2.evaluate(() => window.destroy("sc2"));
+        await p1.close(); await p2.close();
+    });
+
+    test("room schema checks updates against the value they are applied to", async ({ context }) => {
+        const [p1, p2] = await Promise.all([context.newPage(), context.newPage()]);
+        await openPage(p1, ts.httpUrl, "test-client.html");
+        await openPage(p2, ts.httpUrl, "test-client.html");
+        await p1.evaluate(({ wsUrl }) => window.initClient("sc3", wsUrl), { wsUrl: ts.wsUrl });
+        await p2.evaluate(({ wsUrl }) => window.initClient("sc4", wsUrl), { wsUrl: ts.wsUrl });
+
+        const schema = { score: { type: "integer", minimum: 0, maximum: 100 } };
+        const roomId = await p1.evaluate(({ schema }) => window.createRoom("sc3", { score: 90 }, 4, { schema, hostAuthority: ["score"] }), { schema });
+        await p2.evaluate(({ roomId }) => window.joinRoom("sc4", roomId), { roomId });
+
+        // The host increments the score itself while reviewing the other increment, each of them alone stays within the maximum
+        await p1.evaluate(() => window.onEvent("sc3", "storageUpdateRequested", () => {
+            window.updateStorage("sc3", "score", "number-increment", 8);
+            setTimeout(() => window.updateStorage("sc3", "done", "set", true)); // Sent after the approval
+        }));
+        await p2.evaluate(() => window.updateStorage("sc4", "score", "number-increment", 8));
+        await p2.waitForFunction(() => window.storage("sc4").done === true, null, { timeout: 2_000 });
+        expect(await p2.evaluate(() => window.storage("sc4").score)).toBe(98);
+        expect(ts.server.getRoomStorage(roomId)).toEqual({ score: 98, done: true });
+
+        await p1.evaluate(() => window.destroy("sc3"));
+        await p2.evaluate(() => window.destroy("sc4"));
+        await p1.close(); await p2.close();
+    });
+
+    test("undo and redo revert own updates while keeping concurrent remote edits", async () => {
+        const [id1, id2] = [page1.__cid, page2.__cid];
+        await page1.evaluate(({ id }) => {
+            window.updateStorage(id, "score", "number-increment", 5);
+            window.updateStorage(id, "items", "array-add", "apple");
+            window.updateStorage(id, "title", "set", "Draft");
+        }, { id: id1 });
+        await page2.waitForFunction(({ id }) => window.storage(id).title === "Draft", { id: id2 }, { timeout: 2_000 });
+        await page2.evaluate(({ id }) => {
+            window.updateStorage(id, "score", "number-increment", 10);
+            window.updateStorage(id, "items", "array-add", "pear");
+        }, { id: id2 });
+        await page1.waitForFunction(({ id }) => window.storage(id).score === 15 && window.storage(id).items.length === 2, { id: id1 }, { timeout: 2_000 });
+
+        // Relative inverses keep the other client's edits
+        expect(await page1.evaluate(({ id }) => window.undo(id, "score"), { id: id1 })).toBe(true);
+        expect(await page1.evaluate(({ id }) => window.undo(id, "items"), { id: id1 })).toBe(true);
+        await page2.waitForFunction(({ id }) => window.storage(id).score === 10 && window.storage(id).items.length === 1, { id: id2 }, { timeout: 2_000 });
+        expect(await page2.evaluate(({ id }) => window.storage(id).items, { id: id2 })).toEqual(["pear"]);
+
+        // Redo restores the update, a new update clears the redo history
+        expect(await page1.evaluate(({ id }) => window.redo(id, "score"), { id: id1 })).toBe(true);
+        await page2.waitForFunction(({ id }) => window.storage(id).score === 15, { id: id2 }, { timeout: 2_000 });
+        await page1.evaluate(({ id }) => window.updateStorage(id, "score", "number-increment", 1), { id: id1 });
+        expect(await page1.evaluate(({ id }) => window.redo(id), { id: id1 })).toBe(false);
+
+        // Updates overwritten by another client since are skipped instead of discarding the other edit
+        await page2.evaluate(({ id }) => window.updateStorage(id, "title", "set", "Final"), { id: id2 });
+        await page1.waitForFunction(({ id }) => window.storage(id).title === "Final", { id: id1 }, { timeout: 2_000 });
+        expect(await page1.evaluate(({ id }) => window.undo(id, "title"), { id: id1 })).toBe(false);
+        expect(await page1.evaluate(({ id }) => window.storage(id).title, { id: id1 })).toBe("Final");
+    });
 });
\ No newline at end of file
@@ -1,16 +1,85 @@
 import { encode, decode } from "@msgpack/msgpack";
-import CRDTManager from "../universal/crdtManager.js";
+import CRDTManager, { getUpdateDetails, parseKeyPath, sanitizeValue } from "../universal/crdtManager.js";
 import { VERSION, ERROR_PREFIX, WARNING_PREFIX, LOG_PREFIX } from "../universal/constants.js";
 
 const TIMEOUT_MS = 3000; // 3 second timeout for WS messages
+const SESSION_STORE_KEY = "playsocket-session"; // Key of the saved session in the session store
+const RECONNECT_STRATEGIES = ["fixed", "exponential"];
+const MAX_PRESENCE_SIZE = 2000; // Max. length of a serialized presence state (enforced by the server)
+const MAX_HISTORY_SIZE = 100; // Max. number of undoable updates
 
 /** @typedef {import("../universal/crdtManager.js").PropertyUpdateType} PropertyUpdateType */
+/** @typedef {import("../universal/crdtManager.js").KeyPath} KeyPath */
+/** @typedef {import("../universal/crdtManager.js").StorageChanges} StorageChanges */
+/** @typedef {import("../universal/crdtManager.js").PropertyUpdate} PropertyUpdate */
 
 /**
  * @typedef {object} PlaySocketOptions
  * @property {string} endpoint - WebSocket server endpoint (e.g. 'wss://example.com/socket')
  * @property {object} [customData] - Custom registration data
  * @property {boolean} [debug=false] - Enable debug logging
+ * @property {ReconnectOptions} [reconnect] - Reconnection strategy
+ * @property {number} [offlineQueueSize=100] - Max. number of storage updates queued while disconnected (further ones are rejected)
+ * @property {SessionData} [session] - Session to resume on init(), e.g. saved before a page reload (see the session property)
+ * @property {SessionStore} [sessionStore] - Storage the session is saved in and resumed from automatically (e.g. sessionStorage)
+ */
+
+/** @typedef {{ id: string, sessionToken: string }} SessionData - Client ID and session token, used to resume a session */
+
+/** @typedef {Pick<Storage, "getItem" | "setItem" | "removeItem">} SessionStore - Synchronous key/value storage like localStorage or sessionStorage */
+
+/** @typedef {"fixed" | "exponential"} ReconnectStrategy */
+
+/**
+ * @typedef {object} ReconnectOptions
+ * @property {number} [maxAttempts=9] - Max. reconnection attempts before the instance is destroyed
+ * @property {number} [delay=500] - Delay between attempts in ms (the first attempt starts right away)
+ * @property {ReconnectStrategy} [strategy="fixed"] - "fixed" keeps the delay, "exponential" doubles it after each attempt
+ * @property {number} [maxDelay=10000] - Max. delay between attempts in ms
+ * @property {number} [jitter=0] - Share of the delay that is randomized (0-1), so clients that lost connection at the same time don't all retry at once
+ * @property {number} [timeout=3000] - Timeout per attempt in ms
+ */
+
+/**
+ * @typedef {object} KeyPermission
+ * @property {"all" | "host" | "server"} [writers="all"] - Who can write: all participants, only the room host, or only the server (via updateRoomStorage())
+ * @property {PropertyUpdateType[]} [operations] - Allowed operation types (all if omitted)
+ */
+
+/** @typedef {Record<string, KeyPermission>} RoomPermissions - Storage path pattern (e.g. "chat", "players.$clientId" or "*") -> Permission */
+
+/**
+ * @typedef {object} ValueSchema
+ * @property {"string" | "number" | "integer" | "boolean" | "object" | "array" | "null" | string[]} [type] - Allowed type(s)
+ * @property {any[]} [enum] - Allowed values
+ * @property {number} [minimum] - Min. number
+ * @property {number} [maximum] - Max. number
+ * @property {number} [minLength] - Min. string length
+ * @property {number} [maxLength] - Max. string length
+ * @property {number} [maxItems] - Max. array length
+ * @property {ValueSchema} [items] - Schema of the array items
+ * @property {Record<string, ValueSchema>} [properties] - Schemas of the object properties
+ * @property {string[]} [required] - Required object properties
+ * @property {boolean} [additionalProperties=true] - Allow object properties that are not listed in properties
+ */
+
+/** @typedef {Record<string, ValueSchema>} StorageSchema - Storage key -> Value schema */
+
+/**
+ * @typedef {object} RoomOptions
+ * @property {boolean} [isPublic=false] - List the room in room listings
+ * @property {Record<string, any>} [metadata] - Public room metadata shown in room listings (e.g. name or game mode)
+ * @property {StorageSchema} [schema] - Value schema per storage key, enforced by the server on every update
+ * @property {RoomPermissions} [permissions] - Declarative write permissions of the room storage, enforced by the server
+ * @property {boolean | string[]} [hostAuthority=false] - Storage keys whose updates by other participants need the host's approval via its "storageUpdateRequested" event (true for all keys)
+ */
+
+/**
+ * @typedef {object} RoomListing
+ * @property {string} id - Room ID
+ * @property {number} participantCount - Number of participants
+ * @property {number} size - Max. number of participants
+ * @property {Record<string, any> | null} metadata - Public room metadata
  */
 
 /**
@@ -20,6 +89,109 @@ const TIMEOUT_MS = 3000; // 3 second timeout for WS messages
 
 /** @typedef {{ resolve: (value?: any) => void, reject: (reason?: any) => void }} PendingPromise */
 
+/**
+ * @typedef {object} StorageOperation
+ * @property {string[]} path - Storage path, starting with the storage key
+ * @property {PropertyUpdateType} type - Operation type
+ * @property {*} value - Value
+ * @property {*} [secondValue] - Second value
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string[]} keys - Storage keys (multiple for transactions)
+ * @property {StorageOperation[]} operations - Operations that revert (undo stack) or restore (redo stack) an update
+ * @property {{ path: string[], value: string }[]} checks - Serialized values that must be unchanged, otherwise a remote edit would be overwritten
+ * @property {string[]} uuids - Operation UUIDs of the update
+ */
+
+/**
+ * Merge reconnect options with the defaults (undefined values keep the default) and validate them
+ * @param {Required<ReconnectOptions>} defaults - Default reconnect options
+ * @param {ReconnectOptions} options - Reconnect options passed to the constructor
+ * @returns {Required<ReconnectOptions>} - Resolved reconnect options
+ */
+function resolveReconnectOptions(defaults, options) {
+    /** @type {Record<string, any>} */
+    const resolved = { ...defaults };
+    for (const [name, value] of Object.entries(options)) {
+        if (value === undefined) continue;
+        if (!Object.hasOwn(defaults, name)) throw new Error(`Unknown reconnect option ${name}`);
+        const isValid = name === "strategy" ? RECONNECT_STRATEGIES.includes(String(value)) : typeof value === "number" && Number.isFinite(value) && value >= 0;
+        if (!isValid) throw new Error(`Invalid reconnect option ${name}: ${value}`);
+        resolved[name] = value;
+    }
+    if (!Number.isInteger(resolved.maxAttempts)) throw new Error(`Invalid reconnect option maxAttempts: ${resolved.maxAttempts}`);
+    if (resolved.jitter > 1) throw new Error(`Invalid reconnect option jitter: ${resolved.jitter}`);
+    return /** @type {Required<ReconnectOptions>} */ (resolved);
+}
+
+/**
+ * Get a value at a storage path
+ * @param {Record<string, any>} storage - Storage object
+ * @param {string[]} path - Storage path
+ * @returns {*} - Value, undefined if it doesn't exist
+ */
+function getValueAtPath(storage, path) {
+    return path.reduce((container, segment) => (typeof container === "object" && container !== null && Object.hasOwn(container, segment) ? container[segment] : undefined), /** @type {any} */ (storage));
+}
+
+/**
+ * Get the operations that revert an operation, relative ones (e.g. decrementing an increment) are preferred as they keep concurrent edits intact
+ * @param {Record<string, any>} storage - Storage before the operation
+ * @param {string[]} path - Storage path of the operation
+ * @param {PropertyUpdateType} type - Operation type
+ * @param {*} value - Sanitized value
+ * @param {*} secondValue - Sanitized second value
+ * @returns {{ operations: StorageOperation[], checkPath: string[] | null }} - Inverse operations and the path that must stay unchanged for them to be safe (null for relative ones)
+ */
+function getInverseOperations(storage, path, type, value, secondValue) {
+    const previous = getValueAtPath(storage, path);
+    /** @param {*} item */
+    const matches = (item) => (typeof value === "object" && value !== null && typeof item === "object" && item !== null ? JSON.stringify(item) === JSON.stringify(value) : item === value); // Same comparison as the CRDT manager
+    const isObject = typeof previous === "object" && previous !== null && !Array.isArray(previous);
+
+    switch (type) {
+        case "number-increment":
+            if (Number.isFinite(previous) && Number.isFinite(value)) return { operations: [{ path, type, value: -value }], checkPath: null };
+            break;
+        case "array-add":
+        case "array-add-unique":
+            if (type === "array-add-unique" && Array.isArray(previous) && previous.some(matches)) return { operations: [], checkPath: null }; // No-op
+            if (Array.isArray(previous) && !previous.some(matches)) return { operations: [{ path, type: "array-remove-matching", value }], checkPath: null };
+            break;
+        case "array-remove-matching":
+            if (Array.isArray(previous)) return { operations: previous.filter(matches).map(item => ({ path, type: "array-add", value: item })), checkPath: null };
+            break;
+        case "set-add":
+            if (Array.isArray(previous)) return { operations: previous.some(matches) ? [] : [{ path, type: "set-remove", value }], checkPath: null };
+            break;
+        case "set-remove":
+            if (Array.isArray(previous)) return { operations: previous.some(matches) ? [{ path, type: "set-add", value }] : [], checkPath: null };
+            break;
+        case "array-update-matching":
+            if (Array.isArray(previous) && !previous.some(item => (typeof item === "object" && item !== null ? JSON.stringify(item) === JSON.stringify(secondValue) : item === secondValue))) {
+                return previous.some(matches) ? { operations: [{ path, type, value: secondValue, secondValue: value }], checkPath: null } : { operations: [], checkPath: null };
+            }
+            break;
+        case "object-set-key":
+        case "object-remove-key":
+            if (isObject) {
+                const keyPath = [...path, String(value)];
+                if (Object.hasOwn(previous, value)) return { operations: [{ path, type: "object-set-key", value, secondValue: previous[value] }], checkPath: keyPath };
+                return { operations: type === "object-set-key" ? [{ path, type: "object-remove-key", value }] : [], checkPath: keyPath };
+            }
+            break;
+    }
+
+    // Restore the previous value (nested values that didn't exist are removed, including objects created along the path)
+    if (previous === undefined && path.length > 1) {
+        const missingIndex = path.findIndex((_, i) => i > 0 && getValueAtPath(storage, path.slice(0, i + 1)) === undefined);
+        return { operations: [{ path: path.slice(0, missingIndex), type: "object-remove-key", value: path[missingIndex] }], checkPath: path.slice(0, missingIndex + 1) };
+    }
+    return { operations: [{ path, type: "set", value: previous ?? null }], checkPath: path };
+}
+
 /**
  * PlaySocket Client
  */
@@ -29,6 +201,10 @@ export default class PlaySocket {
     #id; // Unique client ID
     /** @type {string | undefined} */
     #sessionToken; // Unique session token
+    /** @type {SessionStore | null} */
+    #sessionStore = null;
+    /** @type {SessionData | null} */
+    #resumableSession = null; // Session to resume on init()
     /** @type {string | undefined} */
     #endpoint;
     /** @type {WebSocket | null} */
@@ -38,17 +214,44 @@ export default class PlaySocket {
     #customData;
 
     // Room properties
+    /** @type {string | null} */
+    #roomId = null;
     /** @type {string | null | undefined} */
     #roomHost;
     /** @type {boolean | undefined} */
     #inRoom; // If the client is currently in  a room or not
     #participantCount = 0;
     #crdtManager;
+    /** @type {{ name: string, criteria?: object } | null} */
+    #queue = null; // Matchmaking queue the client is waiting in
+    /** @type {string | null} */
+    #matchedQueue = null; // Queue of a found match whose room is being joined
     #roomVersion = 0; // Update version (used to compare local vs. remote state to detect package loss)
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    #resyncTimeout = null; // Set while missed storage updates are requested from the server, forces a reconnect if they don't arrive
+    /** @type {Record<string, Record<string, any>>} */
+    #presence = {}; // ClientId -> Presence state of the room participants
+    /** @type {HistoryEntry[]} */
+    #undoStack = []; // Own updates that can be undone, newest last
+    /** @type {HistoryEntry[]} */
+    #redoStack = []; // Undone updates that can be redone, newest last
+    /** @type {{ updates: PropertyUpdate[], entry: HistoryEntry } | null} */
+    #transaction = null; // Updates and history entry of the running transaction
+    /** @type {Map<string, (won: boolean) => void>} */
+    #pendingConditions = new Map(); // Operation UUID -> Resolves the promise of a compare-and-set update
+    /** @type {Map<string, PropertyUpdate>} */
+    #unconfirmedUpdates = new Map(); // Operation UUID -> Sent update the server hasn't confirmed or rejected yet
+    /** @type {PropertyUpdate[][]} */
+    #offlineQueue = []; // Updates made while disconnected, grouped like they are sent (transactions)
+    #offlineQueueSize = 100;
+    /** @type {Set<string>} */
+    #replayedUuids = new Set(); // Operation UUIDs of queued updates sent after reconnecting, until the server confirms or rejects them
 
     // Event handling
     /** @type {Map<string, Function[]>} */
     #callbacks = new Map(); // Event callbacks
+    /** @type {Map<string, Function[]>} */
+    #keyCallbacks = new Map(); // Storage key -> Change callbacks
 
     // Async server operations
     /** @type {PendingPromise | null} */
@@ -56,6 +259,10 @@ export default class PlaySocket {
     /** @type {PendingPromise | null} */
     #pendingCreate = null;
     /** @type {PendingPromise | null} */
+    #pendingLeave = null;
+    /** @type {PendingPromise | null} */
+    #pendingEnqueue = null;
+    /** @type {PendingPromise | null} */
     #pendingRegistration = null;
     /** @type {Pick<PendingPromise, "reject"> | null} */
     #pendingConnect = null;
@@ -69,6 +276,8 @@ export default class PlaySocket {
     #reconnectTimeout;
     #reconnectCount = 0;
     #isReconnecting = false;
+    /** @type {Required<ReconnectOptions>} */
+    #reconnectOptions = { maxAttempts: 9, delay: 500, strategy: "fixed", maxDelay: 10000, jitter: 0, timeout: TIMEOUT_MS };
 
     // Debug
     #debug = false;
@@ -83,17 +292,25 @@ export default class PlaySocket {
         if (options.endpoint) this.#endpoint = options.endpoint;
         if (options.customData) this.#customData = { ...options.customData };
         if (options.debug) this.#debug = true; // Enabling extra logging
+        if (options.reconnect) this.#reconnectOptions = resolveReconnectOptions(this.#reconnectOptions, options.reconnect);
+        if (options.offlineQueueSize != null) {
+            if (!Number.isInteger(options.offlineQueueSize) || options.offlineQueueSize < 0) throw new Error(`Invalid offlineQueueSize: ${options.offlineQueueSize}`);
+            this.#offlineQueueSize = options.offlineQueueSize;
+        }
+        if (options.sessionStore) this.#sessionStore = options.sessionStore;
+        this.#resumableSession = options.session ? { ...options.session } : this.#loadSession();
         this.#crdtManager = new CRDTManager(this.#debug);
     }
 
     /**
      * Helper to create timeout promises for create room, join room etc.
      * @param {string} name - Name of the timeout
+     * @param {number} [ms=TIMEOUT_MS] - Timeout in ms
      * @returns {Promise<never>} - Promise that rejects after the timeout
      */
-    #createTimeout(name) {
+    #createTimeout(name, ms = TIMEOUT_MS) {
         return new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`${name} timed out`)), TIMEOUT_MS)
+            setTimeout(() => reject(new Error(`${name} timed out`)), ms)
         );
     }
 
@@ -104,7 +321,7 @@ export default class PlaySocket {
      * @returns {Function} - Unsubscribe
      */
     onEvent(event, callback) {
-        const validEvents = ["status", "moved", "instanceDestroyed", "storageUpdated", "hostMigrated", "clientJoined", "clientLeft"];
+        const validEvents = ["status", "moved", "instanceDestroyed", "storageUpdated", "hostMigrated", "clientJoined", "clientLeft", "message", "serverMessage", "matchFound", "presenceUpdated", "storageUpdateRequested", "reconnecting", "reconnected", "queuedUpdatesRejected"];
         if (!validEvents.includes(event)) {
             console.warn(WARNING_PREFIX + `Invalid event type ${event}`);
             return () => { };
@@ -124,17 +341,63 @@ export default class PlaySocket {
      * Trigger an event to registered callbacks
      * @param {string} event - Event name
      * @param {...*} args - Arguments
+     * @returns {any} - The first non-null callback return value (all callbacks run, a throwing callback counts as returning false)
      */
     #triggerEvent(event, ...args) {
         const callbacks = this.#callbacks.get(event);
         if (!callbacks) return;
+
+        /** @type {any} */
+        let firstResult;
         [...callbacks].forEach(callback => {
             try {
-                callback(...args);
+                const result = callback(...args);
+                if (firstResult == null && result != null) firstResult = result;
             } catch (error) {
                 console.error(ERROR_PREFIX + `${event} callback error:`, error);
+                if (firstResult == null) firstResult = false; // Fail closed
             }
         });
+        return firstResult;
+    }
+
+    /**
+     * Register a callback for changes of a single storage key
+     * @param {string} key - Storage key
+     * @param {(next: any, previous: any) => void} callback - Called with the next and previous value (undefined if the key doesn't exist)
+     * @returns {Function} - Unsubscribe
+     */
+    onKeyChanged(key, callback) {
+        if (!this.#keyCallbacks.has(key)) this.#keyCallbacks.set(key, []);
+        this.#keyCallbacks.get(key).push(callback);
+
+        return () => {
+            const removeIndex = this.#keyCallbacks.get(key)?.indexOf(callback) ?? -1;
+            if (removeIndex === -1) return;
+            this.#keyCallbacks.get(key).splice(removeIndex, 1);
+            if (!this.#keyCallbacks.get(key).length) this.#keyCallbacks.delete(key);
+        }
+    }
+
+    /**
+     * Trigger storageUpdated and key change callbacks for the storage changes since the last call
+     * @param {boolean} [force=false] - Trigger storageUpdated even if no values changed (e.g. after joining a room)
+     */
+    #emitStorageChanges(force = false) {
+        const changes = this.#crdtManager.takeChanges();
+        if (!changes.keys.length && !force) return;
+        this.#triggerEvent("storageUpdated", this.storage, changes);
+
+        changes.keys.forEach(key => {
+            const { next, previous } = changes.changes[key];
+            [...(this.#keyCallbacks.get(key) || [])].forEach(callback => {
+                try {
+                    callback(structuredClone(next), structuredClone(previous));
+                } catch (error) {
+                    console.error(ERROR_PREFIX + `onKeyChanged callback error for key ${key}:`, error);
+                }
+            });
+        });
     }
 
     /**
@@ -149,6 +412,9 @@ export default class PlaySocket {
         // Connect to WS server
         await this.#connect();
 
+        // Resume the previous session if possible, otherwise register as a new client
+        if (this.#resumableSession && await this.#resume(this.#resumableSession)) return this.#id;
+
         // Register with server
         const id = /** @type {string | undefined} */ (await Promise.race([
             new Promise((resolve, reject) => {
@@ -172,11 +438,69 @@ export default class PlaySocket {
         return this.#id;
     }
 
+    /**
+     * Resume the session of a client whose connection was lost (e.g. by reloading the page), within the server's grace period
+     * @param {SessionData} session - Session to resume
+     * @returns {Promise<boolean>} - Whether the session was resumed
+     */
+    async #resume(session) {
+        const ownId = this.#id;
+        this.#id = session.id; // Set before the room data is processed, e.g. for isHost checks in callbacks
+        try {
+            await Promise.race([
+                new Promise((resolve, reject) => {
+                    this.#pendingReconnect = { resolve, reject };
+                    this.#sendToServer({ type: "reconnect", id: session.id, sessionToken: session.sessionToken, resume: true });
+                }),
+                this.#createTimeout("Session resumption")
+            ]).finally(() => {
+                this.#pendingReconnect = null;
+            });
+        } catch (error) {
+            this.#id = ownId;
+            this.#triggerEvent("status", "Failed to resume session: " + error.message);
+            return false;
+        }
+
+        this.#sessionToken = session.sessionToken;
+        this.#initialized = true;
+        this.#saveSession();
+        return true;
+    }
+
+    /**
+     * Load the session saved in the session store
+     * @returns {SessionData | null} - Saved session, null if there is none (or it belongs to another client ID)
+     */
+    #loadSession() {
+        try {
+            const session = JSON.parse(this.#sessionStore?.getItem(SESSION_STORE_KEY) || "null");
+            if (typeof session?.id !== "string" || typeof session?.sessionToken !== "string") return null;
+            return !this.#id || session.id === this.#id ? session : null;
+        } catch (error) {
+            console.warn(WARNING_PREFIX + "Failed to load session:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the current session in the session store, or remove it if there is none
+     */
+    #saveSession() {
+        try {
+            if (this.#initialized && this.#sessionToken) this.#sessionStore?.setItem(SESSION_STORE_KEY, JSON.stringify(this.session));
+            else this.#sessionStore?.removeItem(SESSION_STORE_KEY);
+        } catch (error) {
+            console.warn(WARNING_PREFIX + "Failed to save session:", error);
+        }
+    }
+
     /**
      * Connect to the WS server and
+     * @param {number} [timeout=TIMEOUT_MS] - Timeout in ms
      * @returns {Promise<*>} Resolves when the connection was established
      */
-    async #connect() {
+    async #connect(timeout = TIMEOUT_MS) {
         return Promise.race([
             new Promise((resolve, reject) => {
                 this.#pendingConnect = { reject };
@@ -185,7 +509,7 @@ export default class PlaySocket {
                 this.#setupSocketHandlers(); // Message & close events
                 this.#socket.onopen = resolve;
             }),
-            this.#createTimeout("Connection attempt")
+            this.#createTimeout("Connection attempt", timeout)
         ]).finally(() => {
             this.#pendingConnect = null;
         });
@@ -206,8 +530,10 @@ export default class PlaySocket {
                         break;
 
                     case "registered":
+                        this.#id = message.id; // May be assigned by the server
                         this.#sessionToken = message.sessionToken;
                         this.#initialized = true;
+                        this.#saveSession();
                         if (this.#pendingRegistration) this.#pendingRegistration.resolve(message.id);
                         this.#triggerEvent("status", "Connected to server.");
                         break;
@@ -215,14 +541,24 @@ export default class PlaySocket {
                     case "join_accepted":
                         if (this.#debug) console.log(LOG_PREFIX + "State received for join:", message.state);
                         this.#inRoom = true;
+                        this.#roomId = message.roomId;
                         this.#crdtManager.importState(message.state);
                         this.#participantCount = message.participantCount;
                         this.#roomHost = message.host;
                         this.#roomVersion = message.version;
-                        this.#triggerEvent("storageUpdated", this.storage);
+                        this.#stopResync();
+                        this.#presence = message.presence || {};
+                        this.#clearHistory();
+                        this.#discardPendingUpdates();
+                        this.#emitStorageChanges(true);
+                        this.#triggerEvent("presenceUpdated", this.presence, null);
                         if (this.#pendingJoin) {
                             this.#triggerEvent("status", "Connected to room.");
                             this.#pendingJoin.resolve();
+                        } else if (this.#matchedQueue) {
+                            this.#triggerEvent("status", "Joined match room.");
+                            this.#triggerEvent("matchFound", message.roomId, this.#matchedQueue);
+                            this.#matchedQueue = null;
                         } else {
                             this.#triggerEvent("status", "Moved to room.");
                             this.#triggerEvent("moved", message.roomId);
@@ -234,23 +570,56 @@ export default class PlaySocket {
                         if (this.#pendingJoin) this.#pendingJoin.reject(new Error("Failed to join room: " + (message.reason || "No reason provided")));
                         break;
 
-                    case "reconnected":
+                    case "reconnected": {
+                        const attempts = this.#reconnectCount;
                         this.#isReconnecting = false;
                         this.#reconnectCount = 0;
                         if (message.roomData) {
-                            if (this.#debug) console.log(LOG_PREFIX + "State received for reconnect:", message.roomData.state);
-                            this.#crdtManager.importState(message.roomData.state);
+                            this.#inRoom = true; // Not known yet when resuming a session
+                            this.#roomId = message.roomData.roomId;
+                            const { state, delta } = message.roomData; // Delta of the missing operations if the server could compute it, the full state otherwise
+                            if (this.#debug) console.log(LOG_PREFIX + `${delta ? "State delta" : "State"} received for reconnect:`, delta || state);
+
+                            // Updates sent before the disconnect may or may not have reached the server, revert the ones that didn't
+                            const appliedUuids = new Set((delta || state).keyOperations.flatMap((/** @type {[string, any[]]} */[, ops]) => ops.map(op => op.uuid)));
+                            [...this.#unconfirmedUpdates.values()].reverse().forEach(update => {
+                                const applied = appliedUuids.has(update.operation.uuid);
+                                if (!applied) {
+                                    this.#crdtManager.revertPropertyUpdate(update);
+                                    this.#discardHistory(update.operation.uuid);
+                                }
+                                this.#confirmUpdate(update.operation.uuid, applied);
+                            });
+
+                            // Updates made while disconnected are applied again on top of the received state, then sent
+                            const offlineQueue = this.#offlineQueue;
+                            this.#offlineQueue = [];
+                            offlineQueue.flat().reverse().forEach(update => this.#crdtManager.revertPropertyUpdate(update));
+                            if (delta) this.#crdtManager.importStateDelta(delta);
+                            else this.#crdtManager.importState(state);
+                            offlineQueue.forEach(updates => {
+                                this.#crdtManager.importPropertyUpdates(updates);
+                                updates.forEach(update => this.#replayedUuids.add(update.operation.uuid));
+                                this.#sendPropertyUpdates(updates);
+                            });
+
                             this.#roomVersion = message.roomData.version;
+                            this.#stopResync();
                             this.#participantCount = message.roomData.participantCount;
                             this.#setHost(message.roomData.host); // Set host before in case there are .isHost checks in the storageUpdate fallback
-                            this.#triggerEvent("storageUpdated", this.storage);
+                            this.#presence = message.roomData.presence || {};
+                            this.#emitStorageChanges(true);
+                            this.#triggerEvent("presenceUpdated", this.presence, null);
                         } else if (this.#inRoom) {
                             // If no room data was received, but client thinks they are in a room
                             return this.destroy("Reconnected, but room no longer exists.");
                         }
-                        this.#triggerEvent("status", "Reconnected.");
+                        this.#triggerEvent("status", attempts ? "Reconnected." : "Session resumed.");
+                        if (attempts) this.#triggerEvent("reconnected", attempts);
                         if (this.#pendingReconnect) this.#pendingReconnect.resolve();
+                        if (this.#queue && !this.#inRoom) this.#sendToServer({ type: "enqueue", queue: this.#queue.name, criteria: this.#queue.criteria }); // The server drops queued clients on disconnect
                         break;
+                    }
 
                     case "reconnection_failed":
                         if (this.#pendingReconnect) this.#pendingReconnect.reject(new Error("Server rejected reconnection: " + message.reason));
@@ -258,10 +627,14 @@ export default class PlaySocket {
 
                     case "room_created":
                         this.#inRoom = true;
+                        this.#roomId = message.roomId;
                         this.#participantCount = message.participantCount;
+                        this.#presence = {};
+                        this.#clearHistory();
+                        this.#discardPendingUpdates();
                         this.#triggerEvent("status", "Room created.");
                         this.#crdtManager.importState(message.state);
-                        this.#triggerEvent("storageUpdated", this.storage);
+                        this.#emitStorageChanges(true);
                         if (this.#pendingCreate) this.#pendingCreate.resolve(message.roomId);
                         break;
 
@@ -269,22 +642,102 @@ export default class PlaySocket {
                         if (this.#pendingCreate) this.#pendingCreate.reject(new Error("Failed to create room: " + (message.reason || "No reason provided")));
                         break;
 
+                    case "enqueued":
+                        this.#triggerEvent("status", `Waiting in queue ${message.queue}.`);
+                        if (this.#pendingEnqueue) this.#pendingEnqueue.resolve();
+                        break;
+
+                    case "enqueue_failed":
+                        this.#queue = null;
+                        this.#triggerEvent("status", "Failed to join queue: " + (message.reason || "No reason provided"));
+                        if (this.#pendingEnqueue) this.#pendingEnqueue.reject(new Error("Failed to join queue: " + (message.reason || "No reason provided")));
+                        break;
+
+                    case "dequeued":
+                        this.#queue = null;
+                        this.#matchedQueue = null; // Also sent if the match fell through
+                        this.#triggerEvent("status", "Removed from queue: " + (message.reason || "No reason provided"));
+                        break;
+
+                    case "match_found":
+                        this.#queue = null;
+                        this.#matchedQueue = message.queue; // The join_accepted message follows
+                        break;
+
+                    case "room_left":
+                        // Reset room state, the connection and registration stay intact
+                        this.#inRoom = false;
+                        this.#roomId = null;
+                        this.#roomHost = null;
+                        this.#participantCount = 0;
+                        this.#roomVersion = 0;
+                        this.#stopResync();
+                        this.#presence = {};
+                        this.#clearHistory();
+                        this.#discardPendingUpdates();
+                        this.#crdtManager.importState({ keyOperations: [], vectorClock: [] }); // Empty storage, reported as removed keys
+                        this.#emitStorageChanges(true);
+                        this.#triggerEvent("status", "Left room.");
+                        if (this.#pendingLeave) this.#pendingLeave.resolve();
+                        break;
+
                     case "property_updated":
-                        this.#roomVersion++; // Increment room version
+                        if (!this.#checkRoomVersion(message.version)) break;
                         if (this.#debug) console.log(LOG_PREFIX + "Property update received:", message.update);
                         this.#crdtManager.importPropertyUpdate(message.update);
-                        if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.storage);
-                        if (this.#roomVersion != message.version && this.#initialized && this.#socket?.readyState === WebSocket.OPEN) {
-                            console.error(ERROR_PREFIX + "Detected skipped property update, forcing reconnect");
-                            this.#socket?.close();
-                        }
+                        this.#confirmUpdate(message.update?.operation?.uuid, true); // Own update was applied
+                        this.#emitStorageChanges();
                         break;
 
-                    case "property_update_rejected":
+                    case "properties_updated": // Updates of a transaction (the room version is incremented once for all updates)
+                        if (!this.#checkRoomVersion(message.version)) break;
+                        if (this.#debug) console.log(LOG_PREFIX + "Property updates received:", message.updates);
+                        this.#crdtManager.importPropertyUpdates(message.updates);
+                        message.updates.forEach((/** @type {PropertyUpdate} */ update) => this.#confirmUpdate(update?.operation?.uuid, true));
+                        this.#emitStorageChanges();
+                        break;
+
+                    case "resync_failed":
+                        console.error(ERROR_PREFIX + "Failed to resync missed property updates, forcing reconnect: " + (message.reason || "No reason provided"));
+                        this.#stopResync();
+                        this.#socket?.close(); // The reconnect fetches the missing operations
+                        break;
+
+                    case "property_update_rejected": {
                         console.warn(LOG_PREFIX + "Property update rejected: " + (message.reason || "No reason provided"));
-                        this.#crdtManager.revertPropertyUpdate(message.update);
-                        if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.storage);
+                        /** @type {PropertyUpdate[]} */
+                        const updates = message.updates || [message.update]; // Multiple for transactions
+                        const replayedUpdates = updates.filter(update => this.#replayedUuids.has(update?.operation?.uuid));
+                        [...updates].reverse().forEach(update => {
+                            this.#crdtManager.revertPropertyUpdate(update);
+                            this.#discardHistory(update?.operation?.uuid); // The update can't be undone or redone anymore
+                            this.#confirmUpdate(update?.operation?.uuid, false);
+                        });
+                        if (replayedUpdates.length) this.#triggerEvent("queuedUpdatesRejected", replayedUpdates.map(update => getUpdateDetails(update)), message.reason || "No reason provided");
+                        this.#emitStorageChanges();
                         break;
+                    }
+
+                    case "property_update_review": {
+                        // As the host, approve or reject another participant's updates (in host-authoritative rooms), transactions are rejected as a whole
+                        let result = null;
+                        for (const update of message.updates) {
+                            result = this.#triggerEvent("storageUpdateRequested", { clientId: message.clientId, ...getUpdateDetails(update), storage: this.storage });
+                            if (typeof result?.then === "function") {
+                                result.catch(() => { });
+                                console.error(ERROR_PREFIX + "storageUpdateRequested callbacks must be synchronous");
+                                result = "storageUpdateRequested callback must be synchronous."; // Same as on the server
+                            }
+                            if (result === false || typeof result === "string") break;
+                        }
+                        this.#sendToServer({
+                            type: "property_update_reviewed",
+                            reviewId: message.reviewId,
+                            approved: result !== false && typeof result !== "string",
+                            reason: typeof result === "string" ? result : null
+                        });
+                        break;
+                    }
 
                     case "kicked":
                         this.destroy(`Kicked out of room: ${message.reason || "No reason provided"}`);
@@ -296,6 +749,10 @@ export default class PlaySocket {
 
                     case "client_left":
                         this.#participantCount = message.participantCount;
+                        if (message.client in this.#presence) {
+                            delete this.#presence[message.client];
+                            this.#triggerEvent("presenceUpdated", this.presence, message.client);
+                        }
                         this.#triggerEvent("clientLeft", message.client);
                         this.#triggerEvent("status", `Client ${message.client} disconnected.`);
                         break;
@@ -306,8 +763,35 @@ export default class PlaySocket {
                         this.#triggerEvent("status", `Client ${message.client} connected.`);
                         break;
 
+                    case "message":
+                        this.#triggerEvent("message", message.payload, message.from);
+                        break;
+
+                    case "presence_updated":
+                        if (message.state == null) delete this.#presence[message.client];
+                        else this.#presence[message.client] = message.state;
+                        this.#triggerEvent("presenceUpdated", this.presence, message.client);
+                        break;
+
+                    case "server_message":
+                        if (this.#debug) console.log(LOG_PREFIX + `Server message with name ${message.name} received:`, message.data);
+                        this.#triggerEvent("serverMessage", message.name, message.data);
+                        break;
+
+                    case "message_rejected":
+                        console.warn(WARNING_PREFIX + "Message rejected: " + (message.reason || "No reason provided"));
+                        break;
+
+                    case "room_list":
+                        this.#pendingRequests.get(message.uuid)?.resolve(message.rooms);
+                        break;
+
+                    case "room_list_failed":
+                        this.#pendingRequests.get(message.uuid)?.reject(new Error("Failed to list rooms: " + (message.reason || "No reason provided")));
+                        break;
+
                     case "request_succeeded":
-                        this.#pendingRequests.get(message.request.uuid)?.resolve();
+                        this.#pendingRequests.get(message.request.uuid)?.resolve(message.response);
                         break;
 
                     case "request_failed":
@@ -326,6 +810,7 @@ export default class PlaySocket {
 
         // Handle socket close & attempt reconnect
         this.#socket.onclose = () => {
+            this.#stopResync(); // The reconnect fetches the missed updates
             if (!this.#initialized || this.#isReconnecting) return;
             this.#triggerEvent("status", "Disconnected.");
             this.#reconnectCount = 0;
@@ -334,39 +819,86 @@ export default class PlaySocket {
     };
 
     /**
-     * Attempt to reconnect with a fixed number of retries
+     * Attempt to reconnect, retrying as configured by the reconnect options
      */
     async #attemptReconnect() {
+        const { maxAttempts, timeout } = this.#reconnectOptions;
         this.#reconnectCount++;
-        if (this.#reconnectCount > 9) {
+        if (this.#reconnectCount > maxAttempts) {
             this.destroy("Disconnected, reconnection failed.");
             return;
         }
 
         this.#triggerEvent("status", `Trying to reconnect: Attempt ${this.#reconnectCount}`);
+        this.#triggerEvent("reconnecting", this.#reconnectCount, maxAttempts);
         this.#isReconnecting = true;
         try {
-            await this.#connect();
+            await this.#connect(timeout);
             await Promise.race([
                 new Promise((resolve, reject) => {
                     this.#pendingReconnect = { resolve, reject };
                     this.#sendToServer({
                         type: "reconnect",
                         id: this.#id,
-                        sessionToken: this.#sessionToken
+                        sessionToken: this.#sessionToken,
+                        ...(this.#inRoom && { vectorClock: this.#crdtManager.state.vectorClock, pending: [...this.#unconfirmedUpdates.keys()] }) // Lets the server send only the missing operations
                     });
                 }),
-                this.#createTimeout("Reconnection request")
+                this.#createTimeout("Reconnection request", timeout)
             ]).finally(() => {
                 this.#pendingReconnect = null;
             });
         } catch (error) {
             if (!this.#initialized) return;
             this.#triggerEvent("status", "Reconnection failed: " + error.message);
-            this.#reconnectTimeout = setTimeout(() => this.#attemptReconnect(), 500);
+            this.#reconnectTimeout = setTimeout(() => this.#attemptReconnect(), this.#getReconnectDelay());
         }
     }
 
+    /**
+     * Get the delay before the next reconnection attempt
+     * @returns {number} - Delay in ms
+     */
+    #getReconnectDelay() {
+        const { delay, strategy, maxDelay, jitter } = this.#reconnectOptions;
+        const baseDelay = Math.min(strategy === "exponential" ? delay * 2 ** (this.#reconnectCount - 1) : delay, maxDelay);
+        return baseDelay * (1 - jitter * Math.random()); // Jitter only shortens the delay, so maxDelay is never exceeded
+    }
+
+    /**
+     * Check the room version of a received storage update, missed updates are requested from the server without reconnecting
+     * @param {number} version - Room version after the update
+     * @returns {boolean} - Whether the update is the next one and should be applied
+     */
+    #checkRoomVersion(version) {
+        if (version <= this.#roomVersion) return false; // Already applied (received again as part of a resync)
+        if (version === this.#roomVersion + 1) {
+            this.#roomVersion = version;
+            this.#stopResync();
+            return true;
+        }
+
+        // Skipped update, the server replays every update since the current version (including this one)
+        if (!this.#resyncTimeout) {
+            console.warn(WARNING_PREFIX + `Detected skipped property update (version ${this.#roomVersion + 1}), resyncing`);
+            this.#sendToServer({ type: "resync", fromVersion: this.#roomVersion });
+            this.#resyncTimeout = setTimeout(() => {
+                console.error(ERROR_PREFIX + "Resync of missed property updates timed out, forcing reconnect");
+                this.#resyncTimeout = null;
+                this.#socket?.close(); // The reconnect fetches the missing operations
+            }, TIMEOUT_MS);
+        }
+        return false;
+    }
+
+    /**
+     * Stop waiting for the missed storage updates requested from the server
+     */
+    #stopResync() {
+        clearTimeout(this.#resyncTimeout);
+        this.#resyncTimeout = null;
+    }
+
     /**
      * Update the host in case a new one was chosen
      * @param {string} hostId - Client ID of new host
@@ -398,10 +930,12 @@ export default class PlaySocket {
      * Create a new room and become host
      * @param {object} [initialStorage] - Initial state
      * @param {number} [size] - Max number of participants
+     * @param {RoomOptions} [options] - Room options
      * @returns {Promise<string>} Resolves with room ID
      */
-    async createRoom(initialStorage = {}, size) {
+    async createRoom(initialStorage = {}, size, options = {}) {
         if (!this.#initialized) throw new Error("Not initialized");
+        this.dequeue();
 
         return /** @type {Promise<string>} */ (Promise.race([
             new Promise((resolve, reject) => {
@@ -410,7 +944,8 @@ export default class PlaySocket {
                 this.#sendToServer({
                     type: "create_room",
                     initialStorage,
-                    size
+                    size,
+                    options
                 });
             }),
             this.#createTimeout("Room creation")
@@ -426,6 +961,7 @@ export default class PlaySocket {
      */
     async joinRoom(roomId) {
         if (!this.#initialized) throw new Error("Not initialized");
+        this.dequeue();
 
         return /** @type {Promise<void>} */ (Promise.race([
             new Promise((resolve, reject) => {
@@ -444,39 +980,408 @@ export default class PlaySocket {
         }));
     }
 
+    /**
+     * Leave the current room without closing the connection
+     * @returns {Promise<void>} - Resolves when the room was left
+     */
+    async leaveRoom() {
+        if (!this.#initialized) throw new Error("Not initialized");
+        if (!this.#inRoom) throw new Error("Not in a room");
+
+        return /** @type {Promise<void>} */ (Promise.race([
+            new Promise((resolve, reject) => {
+                this.#pendingLeave = { resolve, reject };
+                this.#sendToServer({ type: "leave_room" });
+            }),
+            this.#createTimeout("Room leave")
+        ]).finally(() => {
+            this.#pendingLeave = null;
+        }));
+    }
+
+    /**
+     * Wait in a matchmaking queue until the server puts the client into a match room (see the "matchFound" event)
+     * @param {string} queueName - Name of the queue
+     * @param {object} [criteria] - Matchmaking criteria (e.g. { skill: 1200 })
+     * @returns {Promise<void>} - Resolves when the client is waiting in the queue
+     */
+    async enqueue(queueName, criteria) {
+        if (!this.#initialized) throw new Error("Not initialized");
+        if (this.#inRoom) throw new Error("Already in a room");
+        if (this.#queue) throw new Error("Already in a queue");
+
+        return /** @type {Promise<void>} */ (Promise.race([
+            new Promise((resolve, reject) => {
+                this.#queue = { name: queueName, criteria };
+                this.#pendingEnqueue = { resolve, reject };
+                this.#sendToServer({
+                    type: "enqueue",
+                    queue: queueName,
+                    criteria
+                });
+            }),
+            this.#createTimeout("Queue join")
+        ]).catch((error) => {
+            this.#queue = null;
+            throw error;
+        }).finally(() => {
+            this.#pendingEnqueue = null;
+        }));
+    }
+
+    /**
+     * Leave the current matchmaking queue
+     */
+    dequeue() {
+        if (!this.#queue) return;
+        this.#queue = null;
+        this.#sendToServer({ type: "dequeue" });
+        this.#triggerEvent("status", "Left queue.");
+    }
+
+    /**
+     * List the public rooms on the server
+     * @param {Record<string, any>} [filter] - Only include rooms whose metadata matches all entries of this object
+     * @returns {Promise<RoomListing[]>} - Resolves with the room listings
+     */
+    async listRooms(filter) {
+        if (!this.#initialized) throw new Error("Not initialized");
+
+        const uuid = crypto.randomUUID();
+        return /** @type {Promise<RoomListing[]>} */ (Promise.race([
+            new Promise((resolve, reject) => {
+                this.#pendingRequests.set(uuid, { resolve, reject });
+                this.#sendToServer({
+                    type: "list_rooms",
+                    uuid,
+                    filter
+                });
+            }),
+            this.#createTimeout("Room listing")
+        ]).finally(() => {
+            this.#pendingRequests.delete(uuid);
+        }));
+    }
+
     /**
      * Update a value in the shared storage
-     * @param {string} key - Storage key
+     * @param {KeyPath} key - Storage key or nested path (e.g. "players.alice.score")
      * @param {PropertyUpdateType} type - Operation type
      * @param {*} value - Value
      * @param {*} [secondValue] - Second value (needed for some operations)
+     * @returns {Promise<boolean> | undefined} - For compare-and-set updates, resolves with whether the condition was met on the server
      */
     updateStorage(key, type, value, secondValue) {
+        const isCondition = type === "compare-and-set";
         if (!this.#inRoom) {
             console.error(ERROR_PREFIX + "Failed to update storage, not in a room")
-            return;
+            return isCondition ? Promise.resolve(false) : undefined;
         };
         if (this.#debug) console.log(LOG_PREFIX + `Property update for key ${key}, operation ${type}, value ${value} and secondValue ${secondValue}`);
-        const propUpdate = this.#crdtManager.updateProperty(key, type, value, secondValue);
+        const entry = this.#applyOperations([{ path: parseKeyPath(key), type, value, secondValue }]);
+        const result = isCondition ? this.#awaitCondition(entry?.uuids[0]) : undefined;
+        if (!entry?.operations.length) return result; // Invalid update (already logged) or nothing to undo
+
+        if (this.#transaction) {
+            // Transactions are undone as a whole
+            const transactionEntry = this.#transaction.entry;
+            transactionEntry.keys = [...new Set([...transactionEntry.keys, ...entry.keys])];
+            transactionEntry.operations.unshift(...entry.operations); // Revert in reverse order
+            transactionEntry.checks.push(...entry.checks);
+            return result;
+        }
+        this.#pushHistory(entry);
+        return result;
+    }
+
+    /**
+     * Wait for the server to confirm or reject a compare-and-set update
+     * @param {string} [uuid] - Operation UUID of the update
+     * @returns {Promise<boolean>} - Resolves with whether the condition was met
+     */
+    #awaitCondition(uuid) {
+        if (!uuid) return Promise.resolve(false); // Invalid update, already logged
+        return new Promise(resolve => this.#pendingConditions.set(uuid, resolve));
+    }
+
+    /**
+     * Resolve the promise of a pending compare-and-set update
+     * @param {string | undefined} uuid - Operation UUID of the update
+     * @param {boolean} won - Whether the condition was met
+     */
+    #settleCondition(uuid, won) {
+        const resolve = uuid ? this.#pendingConditions.get(uuid) : undefined;
+        if (!resolve) return;
+        this.#pendingConditions.delete(/** @type {string} */ (uuid));
+        resolve(won);
+    }
+
+    /**
+     * Resolve the promises of all pending compare-and-set updates
+     * @param {(uuid: string) => boolean} won - Whether the condition of an update was met
+     */
+    #settleConditions(won) {
+        [...this.#pendingConditions.keys()].forEach(uuid => this.#settleCondition(uuid, won(uuid)));
+    }
+
+    /**
+     * Handle the server confirming or rejecting a sent update
+     * @param {string | undefined} uuid - Operation UUID of the update
+     * @param {boolean} applied - Whether the update was applied
+     */
+    #confirmUpdate(uuid, applied) {
+        if (uuid) {
+            this.#unconfirmedUpdates.delete(uuid);
+            this.#replayedUuids.delete(uuid);
+            this.#crdtManager.releaseOperations([uuid]);
+        }
+        this.#settleCondition(uuid, applied);
+    }
+
+    /**
+     * Forget all queued updates and sent ones the server hasn't confirmed yet (e.g. when the room changes)
+     */
+    #discardPendingUpdates() {
+        this.#crdtManager.releaseOperations([...this.#unconfirmedUpdates.keys(), ...this.#offlineQueue.flat().map(update => update.operation.uuid)]);
+        this.#unconfirmedUpdates.clear();
+        this.#offlineQueue = [];
+        this.#replayedUuids.clear();
+        this.#settleConditions(() => false);
+    }
+
+    /**
+     * Check if the client is disconnected or still reconnecting, storage updates are queued in the meantime
+     * @returns {boolean} - Whether the client is offline
+     */
+    #isOffline() {
+        return this.#isReconnecting || this.#socket?.readyState !== WebSocket.OPEN;
+    }
+
+    /**
+     * Run a callback and send all updateStorage() calls it makes as one transaction
+     * The server applies or rejects the updates of a transaction as a whole, and they are undone together
+     * Updates are applied locally right away and reverted if the callback throws
+     * @param {() => void} callback - Synchronous callback
+     */
+    transaction(callback) {
+        if (this.#transaction) return callback(); // Nested transactions are part of the outer one
+        if (!this.#inRoom) {
+            console.error(ERROR_PREFIX + "Failed to update storage, not in a room");
+            return;
+        }
+
+        const transaction = { updates: /** @type {PropertyUpdate[]} */ ([]), entry: /** @type {HistoryEntry} */ ({ keys: [], operations: [], checks: [], uuids: [] }) };
+        this.#transaction = transaction;
+        try {
+            callback();
+        } catch (error) {
+            this.#transaction = null;
+            [...transaction.updates].reverse().forEach(update => {
+                this.#crdtManager.revertPropertyUpdate(update); // Nothing was sent yet
+                this.#settleCondition(update.operation.uuid, false);
+            });
+            this.#emitStorageChanges();
+            throw error;
+        }
+        this.#transaction = null;
+
+        this.#sendPropertyUpdates(transaction.updates);
+        transaction.entry.uuids = transaction.updates.map(update => update.operation.uuid);
+        if (transaction.entry.operations.length) this.#pushHistory(transaction.entry);
+        this.#emitStorageChanges(); // Always trigger callbacks AFTER send in case msgs are sent in the callback (which would break the order)
+    }
+
+    /**
+     * Undo the latest own storage update, updates whose values were changed by others since are skipped
+     * @param {string} [key] - Only undo updates of this storage key
+     * @returns {boolean} - Whether an update was undone
+     */
+    undo(key) {
+        return this.#moveHistory(this.#undoStack, this.#redoStack, key);
+    }
+
+    /**
+     * Redo the latest undone storage update
+     * @param {string} [key] - Only redo updates of this storage key
+     * @returns {boolean} - Whether an update was redone
+     */
+    redo(key) {
+        return this.#moveHistory(this.#redoStack, this.#undoStack, key);
+    }
+
+    /**
+     * Apply the latest history entry of one stack and push the entry that reverts it onto the other stack
+     * @param {HistoryEntry[]} source - Stack to take the entry from
+     * @param {HistoryEntry[]} target - Stack to push the reverting entry onto
+     * @param {string} [key] - Only consider entries of this storage key
+     * @returns {boolean} - Whether an entry was applied
+     */
+    #moveHistory(source, target, key) {
+        if (!this.#inRoom) {
+            console.error(ERROR_PREFIX + "Failed to update storage, not in a room");
+            return false;
+        }
+
+        for (let i = source.length - 1; i >= 0; i--) {
+            const entry = source[i];
+            if (key != null && !entry.keys.includes(key)) continue;
+            source.splice(i, 1);
+
+            // Skip entries that would overwrite edits of other clients made in the meantime
+            const storage = this.#crdtManager.propertyStore;
+            if (entry.checks.some(check => JSON.stringify(getValueAtPath(storage, check.path)) !== check.value)) continue;
+
+            const revertEntry = this.#applyOperations(entry.operations);
+            if (revertEntry?.operations.length) target.push(revertEntry);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Add an entry to the undo history
+     * @param {HistoryEntry} entry - History entry
+     */
+    #pushHistory(entry) {
+        this.#undoStack.push(entry);
+        if (this.#undoStack.length > MAX_HISTORY_SIZE) this.#undoStack.shift();
+        this.#redoStack = []; // A new update starts a new branch of history
+    }
+
+    /**
+     * Send property updates to the server, multiple updates are sent as one transaction (queued while offline)
+     * @param {PropertyUpdate[]} updates - Property updates
+     */
+    #sendPropertyUpdates(updates) {
+        if (!updates.length) return;
+        this.#crdtManager.retainOperations(updates.map(update => update.operation.uuid)); // Reverted if the server rejects them or never receives them
+        if (this.#isOffline()) {
+            this.#offlineQueue.push(updates); // Sent after reconnecting
+            return;
+        }
+        updates.forEach(update => this.#unconfirmedUpdates.set(update.operation.uuid, update));
+        if (updates.length === 1) this.#sendToServer({ type: "update_property", update: updates[0] });
+        else if (updates.length > 1) this.#sendToServer({ type: "update_properties", updates });
+    }
+
+    /**
+     * Apply storage operations locally, send them to the server and create the history entry that reverts them
+     * Within a transaction, the updates are sent when the transaction ends
+     * @param {StorageOperation[]} operations - Operations (sent as one transaction if there are multiple)
+     * @returns {HistoryEntry | null} - History entry, null if no operation was applied
+     */
+    #applyOperations(operations) {
+        const queuedCount = this.#offlineQueue.flat().length + (this.#transaction?.updates.length || 0);
+        if (this.#isOffline() && queuedCount + operations.length > this.#offlineQueueSize) {
+            console.warn(WARNING_PREFIX + "Storage update rejected, offline queue is full");
+            this.#triggerEvent("queuedUpdatesRejected", operations.map(({ path: [key, ...path], type, value, secondValue }) => ({ key, type, value, secondValue, path: path.length ? path : undefined })), "Offline queue is full");
+            return null;
+        }
+
+        /** @type {HistoryEntry} */
+        const entry = { keys: [...new Set(operations.map(operation => operation.path[0]))], operations: [], checks: [], uuids: [] };
+        /** @type {PropertyUpdate[]} */
+        const updates = [];
+        for (const { path, type, value, secondValue } of operations) {
+            const storage = this.#crdtManager.propertyStore;
+            const propUpdate = this.#crdtManager.updateProperty(path, type, value, secondValue);
+            if (!propUpdate) continue; // Invalid update, already logged
+            updates.push(propUpdate);
+
+            const { value: sanitizedValue, secondValue: sanitizedSecondValue } = propUpdate.operation.data;
+            const inverse = getInverseOperations(storage, path, type, sanitizedValue, sanitizedSecondValue);
+            entry.operations.unshift(...inverse.operations); // Revert in reverse order
+            if (inverse.checkPath) entry.checks.push({ path: inverse.checkPath, value: JSON.stringify(getValueAtPath(this.#crdtManager.propertyStore, inverse.checkPath)) });
+            entry.uuids.push(propUpdate.operation.uuid);
+        }
+
+        if (this.#transaction) this.#transaction.updates.push(...updates);
+        else {
+            this.#sendPropertyUpdates(updates);
+            this.#emitStorageChanges(); // Always trigger callbacks AFTER send in case msgs are sent in the callback (which would break the order)
+        }
+        return entry.uuids.length ? entry : null;
+    }
+
+    /**
+     * Remove the history entries of an update (e.g. after the server rejected it)
+     * @param {string} [uuid] - Operation UUID of the update
+     */
+    #discardHistory(uuid) {
+        this.#undoStack = this.#undoStack.filter(entry => !entry.uuids.includes(uuid));
+        this.#redoStack = this.#redoStack.filter(entry => !entry.uuids.includes(uuid));
+    }
+
+    /**
+     * Clear the undo & redo history (e.g. when the room changes)
+     */
+    #clearHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    /**
+     * Send an ephemeral message to another client in the room (not persisted in the storage)
+     * @param {string} target - Client ID of the recipient
+     * @param {*} payload - Message payload
+     */
+    sendMessage(target, payload) {
+        if (!this.#inRoom) {
+            console.error(ERROR_PREFIX + "Failed to send message, not in a room");
+            return;
+        }
+        if (this.#debug) console.log(LOG_PREFIX + `Message to ${target ?? "room"} with payload:`, payload);
         this.#sendToServer({
-            type: "update_property",
-            update: propUpdate
+            type: "send_message",
+            target,
+            payload
         });
-        if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.storage); // Always trigger callback AFTER send in case msgs are sent in the callback (which would break the order)
+    }
+
+    /**
+     * Send an ephemeral message to all other clients in the room (not persisted in the storage)
+     * @param {*} payload - Message payload
+     */
+    broadcast(payload) {
+        this.sendMessage(null, payload);
+    }
+
+    /**
+     * Set the own presence state, an ephemeral object shared with the room (e.g. cursor position) that is removed when leaving
+     * @param {Record<string, any> | null} state - Presence state (null clears it)
+     */
+    updatePresence(state) {
+        if (!this.#inRoom) {
+            console.error(ERROR_PREFIX + "Failed to update presence, not in a room");
+            return;
+        }
+        if (state !== null && (typeof state !== "object" || Array.isArray(state) || JSON.stringify(state).length > MAX_PRESENCE_SIZE)) {
+            console.error(ERROR_PREFIX + `Failed to update presence, state must be an object of max. ${MAX_PRESENCE_SIZE} characters (serialized) or null`);
+            return;
+        }
+
+        state = sanitizeValue(state); // Same as the server, so that the local state matches what others receive
+        if (state === null) delete this.#presence[this.#id];
+        else this.#presence[this.#id] = state;
+        this.#sendToServer({
+            type: "update_presence",
+            state
+        });
+        this.#triggerEvent("presenceUpdated", this.presence, this.#id);
     }
 
     /**
      * Send a custom request to the server
      * @param {string} name - Name of the request
      * @param {*} [data] - Custom data
-     * @returns {Promise<void>} - Request promise
+     * @returns {Promise<any>} - Resolves with the response returned by the server's requestReceived callback (if any)
      */
     async sendRequest(name, data) {
         if (!this.#initialized) throw new Error("Not initialized");
 
         if (this.#debug) console.log(LOG_PREFIX + `Server request with name ${name} and data:`, data);
         const uuid = crypto.randomUUID();
-        return /** @type {Promise<void>} */ (Promise.race([
+        return Promise.race([
             new Promise((resolve, reject) => {
                 this.#pendingRequests.set(uuid, { resolve, reject });
 
@@ -488,7 +1393,7 @@ export default class PlaySocket {
             this.#createTimeout("Request")
         ]).finally(() => {
             this.#pendingRequests.delete(uuid);
-        }));
+        });
     }
 
     /**
@@ -497,6 +1402,7 @@ export default class PlaySocket {
      */
     destroy(reason) {
         this.#initialized = false; // Set this immediately to prevent automatic reconnection
+        this.#saveSession(); // The session ends, it can't be resumed anymore
 
         if (this.#socket) {
             // Signal to the server that it can immediately remove this user
@@ -514,19 +1420,28 @@ export default class PlaySocket {
 
         // Reset state
         clearTimeout(this.#reconnectTimeout);
+        this.#roomId = null;
         this.#roomHost = null;
         this.#inRoom = false;
         this.#participantCount = 0;
         this.#isReconnecting = false;
         this.#reconnectCount = 0;
         this.#roomVersion = 0;
+        this.#stopResync();
+        this.#presence = {};
+        this.#clearHistory();
+        this.#queue = null;
+        this.#matchedQueue = null;
 
         // Reject pending promises if currently active
         if (this.#pendingJoin) this.#pendingJoin.reject(new Error("Destroyed"));
         if (this.#pendingCreate) this.#pendingCreate.reject(new Error("Destroyed"));
+        if (this.#pendingLeave) this.#pendingLeave.reject(new Error("Destroyed"));
+        if (this.#pendingEnqueue) this.#pendingEnqueue.reject(new Error("Destroyed"));
         if (this.#pendingRegistration) this.#pendingRegistration.reject(new Error("Destroyed"));
         if (this.#pendingConnect) this.#pendingConnect.reject(new Error("Destroyed"));
         if (this.#pendingReconnect) this.#pendingReconnect.reject(new Error("Destroyed"));
+        this.#discardPendingUpdates();
         this.#pendingRequests.forEach((request) => {
             request.reject(new Error("Destroyed"));
         });
@@ -535,6 +1450,11 @@ export default class PlaySocket {
     // Public getters
     get participantCount() { return this.#participantCount; }
     get storage() { return this.#crdtManager.propertyStore; }
+    get presence() { return structuredClone(this.#presence); }
+    get canUndo() { return this.#undoStack.length > 0; }
+    get canRedo() { return this.#redoStack.length > 0; }
     get isHost() { return this.#id == this.#roomHost; }
     get id() { return this.#id; }
+    get roomId() { return this.#roomId; }
+    get session() { return this.#initialized && this.#sessionToken ? { id: this.#id, sessionToken: this.#sessionToken } : null; }
 }
\ No newline at end of file
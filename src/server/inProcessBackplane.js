@@ -0,0 +1,71 @@
+/**
+ * Backplane connecting PlaySocketServer instances that run in the same process (e.g. for tests or worker setups that share memory)
+ * Messages are delivered asynchronously and in order, like with a network pub/sub system
+ */
+export default class InProcessBackplane {
+    /** @type {Map<string, Set<(message: Uint8Array) => void>>} */
+    #subscriptions = new Map(); // Channel -> Handlers
+    /** @type {Map<string, string>} */
+    #owners = new Map(); // Key -> NodeId
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {(message: Uint8Array) => void} handler - Called with each published message
+     */
+    subscribe(channel, handler) {
+        if (!this.#subscriptions.has(channel)) this.#subscriptions.set(channel, new Set());
+        this.#subscriptions.get(channel).add(handler);
+    }
+
+    /**
+     * Unsubscribe from a channel
+     * @param {string} channel - Channel name
+     * @param {(message: Uint8Array) => void} handler - Handler passed to subscribe()
+     */
+    unsubscribe(channel, handler) {
+        this.#subscriptions.get(channel)?.delete(handler);
+        if (!this.#subscriptions.get(channel)?.size) this.#subscriptions.delete(channel);
+    }
+
+    /**
+     * Publish a message to all subscribers of a channel
+     * @param {string} channel - Channel name
+     * @param {Uint8Array} message - Encoded message
+     */
+    publish(channel, message) {
+        const handlers = [...(this.#subscriptions.get(channel) || [])];
+        handlers.forEach(handler => queueMicrotask(() => handler(message)));
+    }
+
+    /**
+     * Claim a key for a node
+     * @param {string} key - Key (e.g. "room:ABC123")
+     * @param {string} nodeId - ID of the claiming node
+     * @returns {boolean} - Whether the key is now owned by the node (also true if it already was)
+     */
+    claim(key, nodeId) {
+        const owner = this.#owners.get(key);
+        if (owner != null && owner !== nodeId) return false;
+        this.#owners.set(key, nodeId);
+        return true;
+    }
+
+    /**
+     * Release a key (only if it is owned by the node)
+     * @param {string} key - Key
+     * @param {string} nodeId - ID of the releasing node
+     */
+    release(key, nodeId) {
+        if (this.#owners.get(key) === nodeId) this.#owners.delete(key);
+    }
+
+    /**
+     * Get the owner of a key
+     * @param {string} key - Key
+     * @returns {string | null} - ID of the owning node, null if unclaimed
+     */
+    getOwner(key) {
+        return this.#owners.get(key) ?? null;
+    }
+}
@@ -0,0 +1,73 @@
+import { mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { ERROR_PREFIX } from "../universal/constants.js";
+
+/** @typedef {import("./server.js").RoomSnapshot} RoomSnapshot */
+
+const FILE_EXTENSION = ".json";
+
+/**
+ * Persistence adapter that stores each room snapshot as a JSON file in a directory
+ * Writes are synchronous so that snapshots flushed in stop() are on disk before the process exits
+ */
+export default class JSONFileAdapter {
+    /** @type {string} */
+    #directory;
+
+    /**
+     * Create a new instance
+     * @param {string} directory - Directory for the snapshot files (created if missing)
+     */
+    constructor(directory) {
+        if (!directory) throw new Error("Directory is required");
+        this.#directory = directory;
+        mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * Get the file path of a room snapshot
+     * @param {string} roomId - Room ID
+     * @returns {string} - File path
+     */
+    #getFilePath(roomId) {
+        return join(this.#directory, encodeURIComponent(roomId) + FILE_EXTENSION);
+    }
+
+    /**
+     * Save a room snapshot (written to a temporary file first, so a crash can't leave a partial snapshot behind)
+     * @param {string} roomId - Room ID
+     * @param {RoomSnapshot} snapshot - Room snapshot
+     */
+    save(roomId, snapshot) {
+        const filePath = this.#getFilePath(roomId);
+        writeFileSync(filePath + ".tmp", JSON.stringify(snapshot));
+        renameSync(filePath + ".tmp", filePath);
+    }
+
+    /**
+     * Remove a room snapshot
+     * @param {string} roomId - Room ID
+     */
+    remove(roomId) {
+        rmSync(this.#getFilePath(roomId), { force: true });
+    }
+
+    /**
+     * Load all room snapshots, unreadable files are skipped
+     * @returns {Record<string, RoomSnapshot>} - Room ID -> Snapshot
+     */
+    loadAll() {
+        /** @type {Record<string, RoomSnapshot>} */
+        const snapshots = {};
+        readdirSync(this.#directory).forEach(fileName => {
+            if (!fileName.endsWith(FILE_EXTENSION)) return;
+            try {
+                const roomId = decodeURIComponent(fileName.slice(0, -FILE_EXTENSION.length));
+                snapshots[roomId] = JSON.parse(readFileSync(join(this.#directory, fileName), "utf8"));
+            } catch (error) {
+                console.error(ERROR_PREFIX + `Failed to load room snapshot ${fileName}:`, error);
+            }
+        });
+        return snapshots;
+    }
+}
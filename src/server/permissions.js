@@ -0,0 +1,134 @@
+import { getUpdateDetails } from "../universal/crdtManager.js";
+
+/**
+ * @typedef {import("../universal/crdtManager.js").PropertyUpdate} PropertyUpdate
+ * @typedef {import("../universal/crdtManager.js").PropertyUpdateType} PropertyUpdateType
+ * @typedef {import("../client/client.js").KeyPermission} KeyPermission
+ * @typedef {import("../client/client.js").RoomPermissions} RoomPermissions
+ */
+
+const WRITERS = ["all", "host", "server"];
+const WILDCARD = "*"; // Matches any single path segment
+const CLIENT_ID_PLACEHOLDER = "$clientId"; // Matches the ID of the writing client only
+
+/**
+ * Validate room permissions and return a normalized copy
+ * @param {*} permissions - Room permissions
+ * @returns {RoomPermissions | null} - Normalized permissions, null if none were given
+ */
+export function validatePermissions(permissions) {
+    if (permissions == null) return null;
+    if (typeof permissions !== "object" || Array.isArray(permissions)) throw new Error("Room permissions must be an object");
+
+    /** @type {RoomPermissions} */
+    const normalized = {};
+    for (const [pattern, permission] of Object.entries(permissions)) {
+        if (!pattern || pattern.split(".").some(segment => !segment)) throw new Error(`Invalid permission path "${pattern}"`);
+        if (!permission || typeof permission !== "object") throw new Error(`Permission for "${pattern}" must be an object`);
+        const { writers = "all", operations } = permission;
+        if (!WRITERS.includes(writers)) throw new Error(`Permission writers for "${pattern}" must be one of ${WRITERS.join(", ")}`);
+        if (operations !== undefined && !(Array.isArray(operations) && operations.every(type => typeof type === "string"))) throw new Error(`Permission operations for "${pattern}" must be an array of operation types`);
+        normalized[pattern] = { writers, ...(operations && { operations: [...operations] }) };
+    }
+    return normalized;
+}
+
+/**
+ * Get the storage path a property update writes to (object key operations write to the key inside the object)
+ * @param {PropertyUpdate} update - Property update
+ * @returns {string[]} - Full storage path, starting with the storage key
+ */
+function getWritePath(update) {
+    const { key, type, value, path } = getUpdateDetails(update);
+    const writePath = [String(key), ...(path || [])];
+    if ((type === "object-set-key" || type === "object-remove-key") && value != null) writePath.push(String(value));
+    return writePath;
+}
+
+/**
+ * Check whether the leading pattern segments match a storage path
+ * @param {string[]} segments - Pattern segments, at most as many as the path has
+ * @param {string[]} writePath - Storage path
+ * @param {string} clientId - ID of the writing client
+ * @returns {boolean} - Whether every segment matches
+ */
+function matchesPath(segments, writePath, clientId) {
+    return segments.every((segment, i) => segment === WILDCARD || (segment === CLIENT_ID_PLACEHOLDER ? writePath[i] === clientId : writePath[i] === segment));
+}
+
+/**
+ * Find the most specific permission rule matching a storage path (longest pattern first, literal segments beat wildcards)
+ * @param {RoomPermissions} permissions - Room permissions
+ * @param {string[]} writePath - Storage path
+ * @param {string} clientId - ID of the writing client
+ * @returns {KeyPermission | null} - Matching permission, null if no rule applies
+ */
+function findPermission(permissions, writePath, clientId) {
+    let bestMatch = null;
+    let bestScore = -1;
+    for (const [pattern, permission] of Object.entries(permissions)) {
+        const segments = pattern.split(".");
+        if (segments.length > writePath.length) continue;
+
+        if (!matchesPath(segments, writePath, clientId)) continue;
+
+        const score = segments.length * 2 + segments.filter(segment => segment !== WILDCARD).length / segments.length; // Length dominates, specificity breaks ties
+        if (score > bestScore) {
+            bestMatch = permission;
+            bestScore = score;
+        }
+    }
+    return bestMatch;
+}
+
+/**
+ * Find the permission rules of paths below a storage path, which a write to the path overwrites as well
+ * @param {RoomPermissions} permissions - Room permissions
+ * @param {string[]} writePath - Storage path
+ * @param {string} clientId - ID of the writing client
+ * @returns {[string, KeyPermission][]} - Patterns and permissions of the rules below the path
+ */
+function findDescendantPermissions(permissions, writePath, clientId) {
+    return Object.entries(permissions).filter(([pattern]) => {
+        const segments = pattern.split(".");
+        return segments.length > writePath.length && matchesPath(segments.slice(0, writePath.length), writePath, clientId);
+    });
+}
+
+/**
+ * Check whether a permission rule allows a write
+ * @param {KeyPermission} permission - Permission rule
+ * @param {string} path - Path shown in the rejection reason
+ * @param {PropertyUpdateType} type - Operation type of the update
+ * @param {boolean} isHost - Whether the client is the room host
+ * @returns {string | null} - Rejection reason, null if the rule allows the write
+ */
+function getRejection(permission, path, type, isHost) {
+    if (permission.writers === "server" || (permission.writers === "host" && !isHost)) return `No write permission for "${path}"`;
+    if (permission.operations && !permission.operations.includes(type)) return `Operation "${type}" not allowed for "${path}"`;
+    return null;
+}
+
+/**
+ * Check a client's property update against the room permissions
+ * @param {RoomPermissions | null} permissions - Room permissions
+ * @param {PropertyUpdate} update - Property update
+ * @param {string} clientId - ID of the writing client
+ * @param {boolean} isHost - Whether the client is the room host
+ * @returns {string | null} - Rejection reason, null if the update is allowed
+ */
+export function checkPermission(permissions, update, clientId, isHost) {
+    if (!permissions) return null;
+    const writePath = getWritePath(update);
+    const { type } = getUpdateDetails(update);
+    const permission = findPermission(permissions, writePath, clientId);
+    const rejection = permission && getRejection(permission, writePath.join("."), type, isHost);
+    if (rejection) return rejection;
+
+    // Writing a path replaces everything below it, so the rules of those paths must allow the write too
+    for (const [pattern, descendantPermission] of findDescendantPermissions(permissions, writePath, clientId)) {
+        const descendantRejection = getRejection(descendantPermission, pattern, type, isHost);
+        if (descendantRejection) return descendantRejection;
+    }
+    return null;
+}
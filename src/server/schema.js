@@ -0,0 +1,109 @@
+/**
+ * @typedef {import("../client/client.js").ValueSchema} ValueSchema
+ * @typedef {import("../client/client.js").StorageSchema} StorageSchema
+ */
+
+const TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - Value
+ * @returns {string} - Type name (integers are of type "number", see matchesType())
+ */
+function getType(value) {
+    if (value === null || value === undefined) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Check if a value matches a schema type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, type) {
+    if (type === "integer") return Number.isInteger(value);
+    if (type === "number") return Number.isFinite(value);
+    return getType(value) === type;
+}
+
+/**
+ * Validate a value schema definition
+ * @param {*} schema - Value schema
+ * @param {string} label - Path of the schema for error messages
+ */
+function validateValueSchema(schema, label) {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) throw new Error(`Schema for "${label}" must be an object`);
+    const types = schema.type === undefined ? [] : [schema.type].flat();
+    if (types.some(type => !TYPES.includes(type))) throw new Error(`Schema type for "${label}" must be one of ${TYPES.join(", ")}`);
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) throw new Error(`Schema enum for "${label}" must be an array`);
+    for (const limit of ["minimum", "maximum", "minLength", "maxLength", "maxItems"]) {
+        if (schema[limit] !== undefined && !Number.isFinite(schema[limit])) throw new Error(`Schema ${limit} for "${label}" must be a number`);
+    }
+    if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every((/** @type {unknown} */ key) => typeof key === "string"))) throw new Error(`Schema required for "${label}" must be an array of property names`);
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== "boolean") throw new Error(`Schema additionalProperties for "${label}" must be a boolean`);
+    if (schema.items !== undefined) validateValueSchema(schema.items, label + "[]");
+    if (schema.properties !== undefined) {
+        if (!schema.properties || typeof schema.properties !== "object" || Array.isArray(schema.properties)) throw new Error(`Schema properties for "${label}" must be an object`);
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => validateValueSchema(propertySchema, label + "." + key));
+    }
+}
+
+/**
+ * Validate a storage schema definition and return a copy
+ * @param {*} schema - Storage schema
+ * @returns {StorageSchema | null} - Copy of the schema, null if none was given
+ */
+export function validateSchema(schema) {
+    if (schema == null) return null;
+    if (typeof schema !== "object" || Array.isArray(schema)) throw new Error("Storage schema must be an object");
+    Object.entries(schema).forEach(([key, valueSchema]) => validateValueSchema(valueSchema, key));
+    return structuredClone(schema);
+}
+
+/**
+ * Validate a value against a value schema
+ * @param {*} value - Value
+ * @param {ValueSchema} schema - Value schema
+ * @param {string} label - Storage path of the value for error messages
+ * @returns {string | null} - Reason why the value is invalid, null if it is valid
+ */
+export function validateValue(value, schema, label) {
+    const types = schema.type === undefined ? [] : [schema.type].flat();
+    if (types.length && !types.some(type => matchesType(value, type))) return `"${label}" must be of type ${types.join(" or ")}`;
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) return `"${label}" must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`;
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) return `"${label}" must be at least ${schema.minimum}`;
+        if (schema.maximum !== undefined && value > schema.maximum) return `"${label}" must be at most ${schema.maximum}`;
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) return `"${label}" must have at least ${schema.minLength} characters`;
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return `"${label}" must have at most ${schema.maxLength} characters`;
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return `"${label}" must have at most ${schema.maxItems} items`;
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = validateValue(value[i], schema.items, `${label}.${i}`);
+                if (error) return error;
+            }
+        }
+    }
+
+    if (getType(value) === "object") {
+        const missingKey = schema.required?.find(key => !(key in value));
+        if (missingKey) return `"${label}.${missingKey}" is required`;
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                const error = validateValue(propertyValue, propertySchema, `${label}.${key}`);
+                if (error) return error;
+            } else if (schema.additionalProperties === false) return `"${label}" must not have the property "${key}"`;
+        }
+    }
+    return null;
+}
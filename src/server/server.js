@@ -1,17 +1,35 @@
 import { WebSocketServer } from "ws";
 import { createServer } from "node:http";
 import { encode, decode } from "@msgpack/msgpack";
-import CRDTManager, { getUpdateDetails } from "../universal/crdtManager.js";
+import CRDTManager, { getUpdateDetails, sanitizeValue } from "../universal/crdtManager.js";
+import { validatePermissions, checkPermission } from "./permissions.js";
+import { validateSchema, validateValue } from "./schema.js";
 import { HEARTBEAT_INTERVAL, VERSION, ERROR_PREFIX, WARNING_PREFIX, LOG_PREFIX } from "../universal/constants.js";
 
+export { default as JSONFileAdapter } from "./jsonFileAdapter.js";
+export { default as InProcessBackplane } from "./inProcessBackplane.js";
+
 const MAX_ROOM_SIZE = 500;
-export const RECONNECT_GRACE_PERIOD = 5000; // Exported for use in tests
+const MAX_LISTED_ROOMS = 100;
+const MAX_PRESENCE_SIZE = 2000; // Max. length of a serialized presence state
+const PERSIST_DEBOUNCE = 1000; // Min. delay between saves of the same room
+const HOST_REVIEW_TIMEOUT = 2000; // Max. time the host has to review an update, must stay below the CRDT garbage collection min. age (HEARTBEAT_INTERVAL)
+const MAX_ROUTING_HOPS = 2; // A command can be routed to the client's node and from there to the node owning its room
+const MAX_TRANSACTION_SIZE = 100; // Max. number of updates in a client transaction
+const ROUTED_COMMANDS = ["kick", "move", "updateRoomStorage", "updateRoomStorageBatch", "destroyRoom", "sendToClient", "sendToRoom"];
+export const RECONNECT_GRACE_PERIOD = 5000; // Default, exported for use in tests
+export const UPDATE_BUFFER_SIZE = 100; // Max. number of recent storage broadcasts per room that clients can resync from, exported for use in tests
 
 /**
  * @typedef {import("node:http").Server} HttpServer
  * @typedef {import("../universal/crdtManager.js").PropertyUpdateType} PropertyUpdateType
+ * @typedef {import("../universal/crdtManager.js").KeyPath} KeyPath
  * @typedef {import("../universal/crdtManager.js").PropertyUpdate} PropertyUpdate
  * @typedef {import("../universal/crdtManager.js").CRDTState} CRDTState
+ * @typedef {import("../client/client.js").RoomOptions} RoomOptions
+ * @typedef {import("../client/client.js").RoomListing} RoomListing
+ * @typedef {import("../client/client.js").RoomPermissions} RoomPermissions
+ * @typedef {import("../client/client.js").StorageSchema} StorageSchema
  */
 
 /** @typedef {import("ws").WebSocket} WebSocket */ // Includes custom properties from ws-extensions.d.ts
@@ -29,6 +47,78 @@ export const RECONNECT_GRACE_PERIOD = 5000; // Exported for use in tests
  * @property {string | null} host - Client ID of the room host ("server" for server-owned rooms, null if the room currently has no host)
  * @property {number} size - Max. number of participants
  * @property {CRDTManager} crdtManager - CRDT manager holding the room storage
+ * @property {boolean} isPublic - Whether the room is included in room listings
+ * @property {Record<string, any> | null} metadata - Public room metadata
+ * @property {Record<string, Record<string, any>>} presence - Ephemeral presence state per participant (not part of the storage)
+ * @property {boolean | string[]} hostAuthority - Storage keys whose updates by other participants need the host's approval (true for all keys)
+ * @property {RoomPermissions | null} permissions - Write permissions of the room storage
+ * @property {StorageSchema | null} schema - Value schema per storage key
+ */
+
+/**
+ * @typedef {object} PendingReview
+ * @property {string} roomId - Room ID
+ * @property {string} clientId - ID of the client that requested the update
+ * @property {PropertyUpdate[]} updates - Requested property updates (multiple for transactions)
+ * @property {ReturnType<typeof setTimeout>} timeout - Rejects the updates if the host doesn't answer in time
+ */
+
+/**
+ * @typedef {object} StorageUpdate
+ * @property {KeyPath} key - Storage key or nested path
+ * @property {PropertyUpdateType} type - Operation type
+ * @property {*} value - Value
+ * @property {*} [secondValue] - Second value (needed for some operations)
+ */
+
+/**
+ * @typedef {object} RoomSnapshot
+ * @property {CRDTState} state - CRDT state of the room storage
+ * @property {string | null} host - Client ID of the room host
+ * @property {number} size - Max. number of participants
+ * @property {number} version - Room version
+ * @property {boolean} isPublic - Whether the room is included in room listings
+ * @property {Record<string, any> | null} metadata - Public room metadata
+ * @property {RoomPermissions | null} [permissions] - Write permissions of the room storage
+ * @property {StorageSchema | null} [schema] - Value schema per storage key
+ */
+
+/**
+ * @typedef {object} PersistenceAdapter
+ * @property {(roomId: string, snapshot: RoomSnapshot) => void | Promise<void>} save - Save (or overwrite) the snapshot of a room
+ * @property {(roomId: string) => void | Promise<void>} remove - Remove the snapshot of a room
+ * @property {() => Record<string, RoomSnapshot> | Promise<Record<string, RoomSnapshot>>} loadAll - Load all snapshots (room ID -> snapshot)
+ */
+
+/**
+ * @typedef {object} Backplane
+ * @property {(channel: string, handler: (message: Uint8Array) => void) => void | Promise<void>} subscribe - Subscribe to a channel
+ * @property {(channel: string, handler: (message: Uint8Array) => void) => void | Promise<void>} unsubscribe - Unsubscribe from a channel
+ * @property {(channel: string, message: Uint8Array) => void | Promise<void>} publish - Publish a message to all subscribers of a channel (in order)
+ * @property {(key: string, nodeId: string) => boolean | Promise<boolean>} claim - Atomically claim a key, returns whether the node owns it afterwards
+ * @property {(key: string, nodeId: string) => void | Promise<void>} release - Release a key if the node owns it
+ * @property {(key: string) => string | null | Promise<string | null>} getOwner - Get the ID of the node owning a key
+ */
+
+/**
+ * @typedef {object} QueueOptions
+ * @property {number} [minPlayers=2] - Min. number of compatible waiting clients to create a match
+ * @property {number} [maxPlayers] - Max. number of clients per match, also used as the room size (defaults to minPlayers)
+ * @property {number} [skillRange] - Max. difference between the numeric "skill" criteria of matched clients (clients without a skill value match anyone)
+ * @property {object} [initialStorage] - Initial storage of match rooms
+ * @property {RoomOptions} [roomOptions] - Options of match rooms
+ */
+
+/**
+ * @typedef {object} QueueEntry
+ * @property {string} clientId - Client ID of the waiting client
+ * @property {Record<string, any>} criteria - Matchmaking criteria provided by the client
+ */
+
+/**
+ * @typedef {object} MatchmakingQueue
+ * @property {QueueOptions} options - Queue options
+ * @property {QueueEntry[]} entries - Waiting clients, oldest first
  */
 
 /**
@@ -39,6 +129,7 @@ export default class PlaySocketServer {
     #server;
     #ownsServer = false;
     #rateLimitMaxPoints;
+    #reconnectGracePeriod;
     #wss;
     /** @type {Map<string, WebSocket>} */
     #clients = new Map(); // ClientId -> WebSocket instance
@@ -51,12 +142,35 @@ export default class PlaySocketServer {
     /** @type {Map<string, Function[]>} */
     #callbacks = new Map(); // Event -> [callback functions]
     #heartbeatInterval;
-    /** @type {Map<string, { timeout: ReturnType<typeof setTimeout> }>} */
-    #pendingDisconnects = new Map(); // ClientId -> {timeout}
+    /** @type {Map<string, { timeout: ReturnType<typeof setTimeout>, hostOf: string | null }>} */
+    #pendingDisconnects = new Map(); // ClientId -> {timeout, ID of the room the client was the host of}
     /** @type {Map<string, string>} */
     #clientTokens = new Map(); // ClientId -> Token
     /** @type {Map<string, number>} */
     #roomVersions = new Map(); // RoomId -> Version
+    /** @type {Map<string, { version: number, message: Uint8Array }[]>} */
+    #updateBuffers = new Map(); // RoomId -> Recent storage broadcasts, oldest first (replayed to clients that missed some)
+    /** @type {Map<string, MatchmakingQueue>} */
+    #queues = new Map(); // QueueName -> Queue
+    /** @type {Map<string, string>} */
+    #clientQueues = new Map(); // ClientId -> QueueName
+    /** @type {Map<string, PendingReview>} */
+    #pendingReviews = new Map(); // ReviewId -> Updates waiting for the host's approval
+    /** @type {Map<string, StorageUpdate[]>} */
+    #transactions = new Map(); // RoomId -> Updates collected by a running transaction
+    /** @type {PersistenceAdapter | null} */
+    #persistence = null;
+    /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+    #pendingSaves = new Map(); // RoomId -> Debounce timeout
+    /** @type {Backplane | null} */
+    #backplane = null;
+    /** @type {string} */
+    #nodeId;
+    /** @type {Map<string, string>} */
+    #remoteClients = new Map(); // ClientId -> NodeId owning the room of a client connected to this node
+    #commandHops = 0; // Hops of the routed command that is currently executed
+    /** @param {Uint8Array} message */
+    #backplaneHandler = (message) => this.#handleBackplaneMessage(message);
 
     // Debug
     #debug = false;
@@ -69,14 +183,30 @@ export default class PlaySocketServer {
      * @param {string} [options.path='/'] - WebSocket endpoint path
      * @param {boolean} [options.debug=false] - Enable debug logging
      * @param {number} [options.rateLimit=20] - Maximum number of operations per second per client
+     * @param {number} [options.reconnectGracePeriod=5000] - Time in ms disconnected clients can reconnect within before they leave their room
+     * @param {PersistenceAdapter} [options.persistence] - Adapter for persisting server-owned rooms (see restoreRooms())
+     * @param {Backplane} [options.backplane] - Pub/sub backplane connecting multiple server nodes
+     * @param {string} [options.nodeId] - Unique ID of this node on the backplane (random by default)
      * @param {import("ws").ServerOptions["verifyClient"]} [options.verifyClient] - Optional callback to verify client connections before upgrade. Receives (info, callback) where info contains { req, origin } and callback is (verified, code?, message?) => void
      */
     constructor(options = {}) {
-        const { server, port = 3000, path = "/", debug = false, rateLimit = 20, verifyClient } = options;
+        const { server, port = 3000, path = "/", debug = false, rateLimit = 20, reconnectGracePeriod = RECONNECT_GRACE_PERIOD, verifyClient, persistence, backplane, nodeId = crypto.randomUUID() } = options;
 
         if (debug) this.#debug = true; // Enable extra logging
+        if (persistence) this.#persistence = persistence;
+        this.#nodeId = nodeId;
+
+        // Receive messages for this node and cluster-wide broadcasts
+        if (backplane) {
+            this.#backplane = backplane;
+            Promise.all([
+                backplane.subscribe("node:" + nodeId, this.#backplaneHandler),
+                backplane.subscribe("broadcast", this.#backplaneHandler)
+            ]).catch(error => console.error(ERROR_PREFIX + "Failed to subscribe to backplane:", error));
+        }
 
         this.#rateLimitMaxPoints = rateLimit; // Set rate limit
+        this.#reconnectGracePeriod = reconnectGracePeriod;
 
         // Handle server creation / usage
         if (server) {
@@ -143,6 +273,10 @@ export default class PlaySocketServer {
                 }
             }
 
+            // Messages of clients in a room owned by another node are handled by that node
+            const remoteNodeId = ws.clientId ? this.#remoteClients.get(ws.clientId) : null;
+            if (remoteNodeId && !["register", "reconnect", "disconnect"].includes(data.type)) return this.#forwardToNode(remoteNodeId, ws, message);
+
             switch (data.type) {
                 case "register": {
                     // Ensure client uses the same version as server
@@ -151,8 +285,8 @@ export default class PlaySocketServer {
                         return;
                     }
 
-                    // Register client ID if provided & check for a duplicate
-                    if (data.id && (this.#clients.get(data.id) || data.id === "server")) {
+                    // Register client ID if provided & check for a duplicate (on all nodes)
+                    if (data.id && (this.#clients.get(data.id) || data.id === "server" || !(await this.#claimKey("client:" + data.id)))) {
                         ws.send(encode({ type: "registration_failed", reason: "ID is taken" }), { binary: true });
                         return;
                     }
@@ -161,7 +295,7 @@ export default class PlaySocketServer {
                     if (!data.id) {
                         for (let i = 0; i < 50; i++) {
                             const id = this.#generateId();
-                            if (!this.#clients.get(id)) {
+                            if (!this.#clients.get(id) && await this.#claimKey("client:" + id)) {
                                 data.id = id;
                                 break;
                             }
@@ -175,6 +309,7 @@ export default class PlaySocketServer {
                     // Event callback
                     const registrationAllowed = await this.#triggerEvent("clientRegistrationRequested", data.id, data.customData);
                     if (registrationAllowed === false || typeof registrationAllowed === "string") {
+                        this.#releaseKey("client:" + data.id);
                         ws.send(encode({
                             type: "registration_failed",
                             reason: typeof registrationAllowed === "string" ? registrationAllowed : null
@@ -192,6 +327,14 @@ export default class PlaySocketServer {
                 }
 
                 case "reconnect": {
+                    // The old connection of a reloaded page may not have closed yet, treat it as disconnected now
+                    const staleWs = this.#clients.get(data.id);
+                    if (data.resume && staleWs && staleWs !== ws && !staleWs.isProxy && data.sessionToken === this.#clientTokens.get(data.id)) {
+                        this.#handleDisconnection(staleWs);
+                        staleWs.clientId = undefined; // Its close event must not affect the resumed session
+                        staleWs.terminate();
+                    }
+
                     // If user is pending disconnect, respond (otherwise it's too late)
                     const pd = this.#pendingDisconnects.get(data.id);
                     if (pd && data.sessionToken) {
@@ -209,19 +352,27 @@ export default class PlaySocketServer {
                         ws.clientId = data.id;
                         this.#clients.set(data.id, ws);
 
+                        // The node owning the client's room responds with the room data
+                        const remoteNodeId = this.#remoteClients.get(data.id);
+                        if (remoteNodeId) return this.#forwardToNode(remoteNodeId, ws, message);
+
                         // If they were in a room, provide updated room data
                         let roomData;
                         const formerRoomId = this.#clientRooms.get(data.id);
                         const formerRoom = this.#rooms[formerRoomId];
                         if (formerRoom) {
-                            // If the room has no host (they were the only one and disconnected), restore them as host
-                            if (formerRoom.host === null) formerRoom.host = data.id;
-                            if (this.#debug) console.log(LOG_PREFIX + `State sent for reconnection for room ${formerRoomId}:`, formerRoom.crdtManager.state);
+                            // Restore them as host if the room has no host (they were the only one and disconnected) or they resume their session after a page reload
+                            if (formerRoom.host === null || (data.resume && pd.hostOf === formerRoomId)) this.#restoreHost(formerRoomId, data.id);
+                            // Only send the operations the client is missing (and the ones it doesn't know the outcome of), unless they were compacted
+                            const delta = Array.isArray(data.vectorClock) ? formerRoom.crdtManager.getStateDelta(data.vectorClock, Array.isArray(data.pending) ? data.pending : []) : null;
+                            if (this.#debug) console.log(LOG_PREFIX + `${delta ? "State delta" : "State"} sent for reconnection for room ${formerRoomId}:`, delta || formerRoom.crdtManager.state);
                             roomData = {
-                                state: formerRoom.crdtManager.state,
+                                roomId: formerRoomId,
+                                ...(delta ? { delta } : { state: formerRoom.crdtManager.state }),
                                 participantCount: formerRoom.participants.length,
                                 host: formerRoom.host,
-                                version: this.#roomVersions.get(formerRoomId)
+                                version: this.#roomVersions.get(formerRoomId),
+                                presence: formerRoom.presence
                             }
                         }
 
@@ -258,7 +409,8 @@ export default class PlaySocketServer {
                             return;
                         }
 
-                        const newRoom = this.createRoom(data.initialStorage, data.size, ws.clientId); // Create room
+                        const newRoom = this.createRoom(data.initialStorage, data.size, ws.clientId, data.options); // Create room
+                        this.#removeFromQueue(ws.clientId);
 
                         this.#rooms[newRoom.id].participants.push(ws.clientId) // Add client to the room
                         this.#clientRooms.set(ws.clientId, newRoom.id); // Add client to the client-room map
@@ -279,6 +431,15 @@ export default class PlaySocketServer {
                         ws.send(encode({ type: "join_rejected", reason }), { binary: true });
                     };
 
+                    // Let the node owning the room handle the join (and all further messages of the client)
+                    if (this.#backplane && !this.#rooms[roomId] && !this.#clientRooms.get(ws.clientId)) {
+                        const nodeId = await this.#backplane.getOwner("room:" + roomId);
+                        if (nodeId && nodeId !== this.#nodeId) {
+                            if (!ws.isProxy) this.#remoteClients.set(ws.clientId, nodeId);
+                            return this.#forwardToNode(nodeId, ws, message);
+                        }
+                    }
+
                     // Event callback
                     const joinAllowed = await this.#triggerEvent("clientJoinRequested", ws.clientId, roomId);
                     if (joinAllowed === false || typeof joinAllowed === "string") return rejectJoin(typeof joinAllowed === "string" ? joinAllowed : null);
@@ -298,51 +459,200 @@ export default class PlaySocketServer {
                     break;
                 }
 
-                case "update_property": {
+                case "list_rooms": {
+                    if (!ws.clientId) return;
+                    const filter = typeof data.filter === "object" && data.filter !== null ? data.filter : {};
+
+                    // Collect public rooms whose metadata matches every filter entry
+                    /** @type {RoomListing[]} */
+                    const rooms = [];
+                    for (const [id, room] of Object.entries(this.#rooms)) {
+                        if (!room.isPublic || !Object.entries(filter).every(([key, value]) => room.metadata?.[key] === value)) continue;
+                        rooms.push({ id, participantCount: room.participants.length, size: room.size, metadata: structuredClone(room.metadata) });
+                        if (rooms.length >= MAX_LISTED_ROOMS) break;
+                    }
+
+                    // Event callback with potential listing modifications
+                    const reviewedRooms = await this.#triggerEvent("roomListRequested", { clientId: ws.clientId, filter: structuredClone(filter), rooms: structuredClone(rooms) });
+                    if (reviewedRooms === false || typeof reviewedRooms === "string") {
+                        ws.send(encode({ type: "room_list_failed", uuid: data.uuid, reason: typeof reviewedRooms === "string" ? reviewedRooms : null }), { binary: true });
+                        return;
+                    }
+                    ws.send(encode({ type: "room_list", uuid: data.uuid, rooms: Array.isArray(reviewedRooms) ? reviewedRooms : rooms }), { binary: true });
+                    break;
+                }
+
+                case "enqueue": {
+                    if (!ws.clientId) return;
+
+                    /** @param {string} reason */
+                    const rejectEnqueue = (reason) => {
+                        ws.send(encode({ type: "enqueue_failed", queue: data.queue, reason }), { binary: true });
+                    };
+
+                    const queue = this.#queues.get(data.queue);
+                    if (!queue) return rejectEnqueue("Queue not found");
+                    if (this.#clientRooms.get(ws.clientId)) return rejectEnqueue("Already in a room");
+                    if (this.#clientQueues.has(ws.clientId)) return rejectEnqueue("Already in a queue");
+
+                    let criteria;
+                    try {
+                        criteria = sanitizeValue(data.criteria ?? {});
+                    } catch (error) {
+                        return rejectEnqueue(error.message);
+                    }
+
+                    queue.entries.push({ clientId: ws.clientId, criteria });
+                    this.#clientQueues.set(ws.clientId, data.queue);
+                    ws.send(encode({ type: "enqueued", queue: data.queue }), { binary: true });
+                    if (this.#debug) console.log(LOG_PREFIX + `Client ${ws.clientId} joined queue ${data.queue} with criteria:`, criteria);
+                    this.#processQueue(data.queue);
+                    break;
+                }
+
+                case "dequeue":
+                    if (ws.clientId) this.#removeFromQueue(ws.clientId);
+                    break;
+
+                case "update_presence": {
                     const roomId = this.#clientRooms.get(ws.clientId);
                     const room = roomId ? this.#rooms[roomId] : null;
+                    if (!room) return;
 
-                    if (room && data.update) {
-                        // Check if update is allowed via event callback (provide clone to ensure update integrity)
-                        const updateAllowed = await this.#triggerEvent("storageUpdateRequested", { roomId, clientId: ws.clientId, update: structuredClone(data.update), storage: this.getRoomStorage(roomId) });
-                        if (updateAllowed === false || typeof updateAllowed === "string") {
-                            ws.send(encode({
-                                type: "property_update_rejected",
-                                reason: typeof updateAllowed === "string" ? updateAllowed : null,
-                                update: data.update
-                            }), { binary: true });
-                            return;
-                        }
+                    let state;
+                    try {
+                        state = sanitizeValue(data.state);
+                    } catch {
+                        return; // Too large
+                    }
+                    const isValid = state === null || (typeof state === "object" && !Array.isArray(state) && JSON.stringify(state).length <= MAX_PRESENCE_SIZE);
+                    if (!isValid) {
+                        if (this.#debug) console.log(LOG_PREFIX + `Invalid presence state from client ${ws.clientId} ignored`);
+                        return;
+                    }
 
-                        room.crdtManager.importPropertyUpdate(data.update); // Import update into server state
+                    if (state === null) delete room.presence[ws.clientId];
+                    else room.presence[ws.clientId] = state;
 
-                        // Increment version for this room
-                        const currentVersion = this.#roomVersions.get(roomId) + 1;
-                        this.#roomVersions.set(roomId, currentVersion);
+                    room.participants.forEach(p => {
+                        if (p === ws.clientId) return; // The sender already applied it locally
+                        this.#clients.get(p)?.send(encode({ type: "presence_updated", client: ws.clientId, state }), { binary: true });
+                    });
+                    break;
+                }
+
+                case "resync": {
+                    // Replay the storage broadcasts a client missed (it detected a gap in the room version), if they are still buffered
+                    const roomId = this.#clientRooms.get(ws.clientId);
+                    if (!roomId || !this.#rooms[roomId]) return;
+
+                    const fromVersion = data.fromVersion;
+                    const currentVersion = this.#roomVersions.get(roomId);
+                    const missed = (this.#updateBuffers.get(roomId) || []).filter(entry => entry.version > fromVersion);
+                    if (!Number.isInteger(fromVersion) || fromVersion > currentVersion || (fromVersion < currentVersion && missed[0]?.version !== fromVersion + 1)) {
+                        ws.send(encode({ type: "resync_failed", reason: "Missed updates are no longer available" }), { binary: true });
+                        return;
+                    }
+                    if (this.#debug) console.log(LOG_PREFIX + `Replaying ${missed.length} updates of room ${roomId} to client ${ws.clientId}`);
+                    missed.forEach(entry => ws.send(entry.message, { binary: true }));
+                    break;
+                }
+
+                case "leave_room": {
+                    if (!ws.clientId) return;
+                    const roomId = this.#clientRooms.get(ws.clientId);
+                    if (roomId != null && this.#rooms[roomId]) {
+                        if (this.#rooms[roomId].host === ws.clientId) this.#migrateHost(roomId, ws.clientId);
+                        this.#leaveRoom(ws.clientId, roomId);
+                    }
+                    ws.send(encode({ type: "room_left", roomId }), { binary: true }); // Confirm even if not in a room, the client's goal is achieved either way
+                    break;
+                }
+
+                case "update_property":
+                case "update_properties": { // Multiple updates of a transaction, applied all-or-nothing
+                    const roomId = this.#clientRooms.get(ws.clientId);
+                    const room = roomId ? this.#rooms[roomId] : null;
+                    const updates = data.type === "update_property" ? [data.update] : data.updates;
 
-                        room.participants?.forEach(p => {
-                            const client = this.#clients.get(p);
-                            if (client) {
-                                client.send(encode({
-                                    type: "property_updated",
-                                    update: data.update,
-                                    version: currentVersion
-                                }), { binary: true });
+                    if (room && Array.isArray(updates) && updates.length && updates.every(Boolean)) {
+                        if (updates.length > MAX_TRANSACTION_SIZE) return this.#rejectPropertyUpdates(ws.clientId, updates, "Too many updates in transaction");
+
+                        // Check the declared room permissions first
+                        const permissionError = updates.map(update => checkPermission(room.permissions, update, ws.clientId, room.host === ws.clientId)).find(Boolean);
+                        if (permissionError) return this.#rejectPropertyUpdates(ws.clientId, updates, permissionError);
+
+                        // Check if the updates are allowed via event callback (provide clone to ensure update integrity)
+                        for (const update of updates) {
+                            const updateAllowed = await this.#triggerEvent("storageUpdateRequested", { roomId, clientId: ws.clientId, update: structuredClone(update), storage: this.getRoomStorage(roomId) });
+                            if (updateAllowed === false || typeof updateAllowed === "string") {
+                                this.#rejectPropertyUpdates(ws.clientId, updates, typeof updateAllowed === "string" ? updateAllowed : null);
+                                return;
                             }
-                        });
+                        }
+
+                        if (this.#needsHostReview(room, ws.clientId, updates)) this.#requestHostReview(roomId, ws.clientId, updates);
+                        else this.#applyPropertyUpdates(roomId, ws.clientId, updates);
+                    }
+                    break;
+                }
+
+                case "property_update_reviewed": {
+                    const review = this.#pendingReviews.get(data.reviewId);
+                    if (!review || this.#rooms[review.roomId]?.host !== ws.clientId) return; // Only the current host can answer
+
+                    clearTimeout(review.timeout);
+                    this.#pendingReviews.delete(data.reviewId);
+                    if (this.#clientRooms.get(review.clientId) !== review.roomId) return; // Requesting client left the room in the meantime
+                    if (data.approved === true) this.#applyPropertyUpdates(review.roomId, review.clientId, review.updates);
+                    else this.#rejectPropertyUpdates(review.clientId, review.updates, typeof data.reason === "string" ? data.reason : "Rejected by host");
+                    break;
+                }
+
+                case "send_message": {
+                    const roomId = this.#clientRooms.get(ws.clientId);
+                    const room = roomId ? this.#rooms[roomId] : null;
+                    if (!room) return;
 
-                        this.#triggerEvent("storageUpdated", { roomId, clientId: ws.clientId, update: structuredClone(data.update), storage: this.getRoomStorage(roomId) });
-                        if (this.#debug) console.log(LOG_PREFIX + "Property update received and imported:", data.update);
+                    /** @param {string} reason */
+                    const rejectMessage = (reason) => {
+                        ws.send(encode({ type: "message_rejected", reason }), { binary: true });
+                    };
+
+                    // Only participants of the sender's room can be targeted (null broadcasts to everyone else in the room)
+                    const target = data.target ?? null;
+                    if (target !== null && (target === ws.clientId || !room.participants.includes(target))) return rejectMessage("Target is not in the room");
+
+                    let payload;
+                    try {
+                        payload = sanitizeValue(data.payload);
+                    } catch (error) {
+                        return rejectMessage(error.message);
                     }
+
+                    // Event callback
+                    const messageAllowed = await this.#triggerEvent("messageRequested", { roomId, clientId: ws.clientId, target, payload: structuredClone(payload) });
+                    if (messageAllowed === false || typeof messageAllowed === "string") return rejectMessage(typeof messageAllowed === "string" ? messageAllowed : null);
+
+                    const recipients = target === null ? room.participants.filter(p => p !== ws.clientId) : [target];
+                    recipients.forEach(p => {
+                        const client = this.#clients.get(p);
+                        if (client) client.send(encode({ type: "message", from: ws.clientId, payload }), { binary: true });
+                    });
+                    if (this.#debug) console.log(LOG_PREFIX + `Message from ${ws.clientId} relayed to ${recipients.length} client(s):`, payload);
                     break;
                 }
 
                 case "request": {
                     if (!ws.clientId) return;
                     const roomId = this.#clientRooms.get(ws.clientId) || null;
-                    const requestSuccess = await this.#triggerEvent("requestReceived", { roomId, clientId: ws.clientId, name: data.request.name, data: data.request.data });
-                    if (requestSuccess === false || typeof requestSuccess === "string") ws.send(encode({ type: "request_failed", request: data.request, reason: typeof requestSuccess === "string" ? requestSuccess : null }), { binary: true });
-                    else ws.send(encode({ type: "request_succeeded", request: data.request }), { binary: true });
+                    const requestResult = await this.#triggerEvent("requestReceived", { roomId, clientId: ws.clientId, name: data.request.name, data: data.request.data });
+                    if (requestResult === false || typeof requestResult === "string") ws.send(encode({ type: "request_failed", request: data.request, reason: typeof requestResult === "string" ? requestResult : null }), { binary: true });
+                    else ws.send(encode({
+                        type: "request_succeeded",
+                        request: data.request,
+                        ...(requestResult != null && requestResult !== true && { response: requestResult }) // Any other return value is sent back as the response
+                    }), { binary: true });
                     break;
                 }
 
@@ -356,6 +666,118 @@ export default class PlaySocketServer {
         }
     }
 
+    /**
+     * Import a client's property updates into the room storage and broadcast them to all participants
+     * @param {string} roomId - Room ID
+     * @param {string} clientId - ID of the client that sent the updates
+     * @param {PropertyUpdate[]} updates - Property updates
+     */
+    #applyPropertyUpdates(roomId, clientId, updates) {
+        const { crdtManager, schema } = this.#rooms[roomId];
+        const resolvedUpdates = crdtManager.resolveConditions(updates); // Compare-and-set updates are checked when applied, so the first one wins
+        if (!resolvedUpdates) return this.#rejectPropertyUpdates(clientId, updates, "Condition not met");
+
+        // Validate the resulting values against the room schema (when applied, as other updates may have been applied while these were requested or reviewed)
+        const values = schema ? crdtManager.previewPropertyUpdates(resolvedUpdates) : {};
+        const schemaError = Object.entries(values).map(([key, value]) => schema?.[key] ? validateValue(value, schema[key], key) : null).find(Boolean);
+        if (schemaError) return this.#rejectPropertyUpdates(clientId, updates, schemaError);
+
+        crdtManager.importPropertyUpdates(resolvedUpdates); // Import updates into server state
+        this.#publishPropertyUpdates(roomId, clientId, resolvedUpdates);
+        if (this.#debug) console.log(LOG_PREFIX + "Property updates received and imported:", resolvedUpdates);
+    }
+
+    /**
+     * Broadcast property updates that were applied to the room storage, the room version is incremented once for all of them
+     * @param {string} roomId - Room ID
+     * @param {string | null} clientId - ID of the client that sent the updates, null for the server
+     * @param {PropertyUpdate[]} updates - Property updates
+     */
+    #publishPropertyUpdates(roomId, clientId, updates) {
+        const room = this.#rooms[roomId];
+
+        // Increment version for this room
+        const currentVersion = this.#roomVersions.get(roomId) + 1;
+        this.#roomVersions.set(roomId, currentVersion);
+        this.#schedulePersist(roomId);
+
+        const message = encode(updates.length === 1 ? { type: "property_updated", update: updates[0], version: currentVersion } : { type: "properties_updated", updates, version: currentVersion });
+        room.participants?.forEach(p => {
+            this.#clients.get(p)?.send(message, { binary: true });
+        });
+
+        const buffer = this.#updateBuffers.get(roomId) || [];
+        buffer.push({ version: currentVersion, message });
+        if (buffer.length > UPDATE_BUFFER_SIZE) buffer.shift();
+        this.#updateBuffers.set(roomId, buffer);
+
+        this.#triggerEvent("storageUpdated", { roomId, clientId, update: structuredClone(updates[0]), updates: structuredClone(updates), storage: this.getRoomStorage(roomId), changes: room.crdtManager.takeChanges() });
+    }
+
+    /**
+     * Inform a client that its property updates were rejected (the client reverts them)
+     * @param {string} clientId - ID of the client that sent the updates
+     * @param {PropertyUpdate[]} updates - Property updates
+     * @param {string | null} reason - Rejection reason
+     */
+    #rejectPropertyUpdates(clientId, updates, reason) {
+        this.#clients.get(clientId)?.send(encode({
+            type: "property_update_rejected",
+            reason,
+            ...(updates.length === 1 ? { update: updates[0] } : { updates })
+        }), { binary: true });
+    }
+
+    /**
+     * Check if property updates have to be approved by the room host first
+     * @param {Room} room - Room
+     * @param {string} clientId - ID of the client that sent the updates
+     * @param {PropertyUpdate[]} updates - Property updates
+     * @returns {boolean} - Whether the host has to review the updates
+     */
+    #needsHostReview(room, clientId, updates) {
+        const { hostAuthority } = room;
+        if (!hostAuthority || room.host === "server" || room.host === clientId) return false;
+        return hostAuthority === true || updates.some(update => hostAuthority.includes(getUpdateDetails(update).key));
+    }
+
+    /**
+     * Forward property updates to the room host for approval, the updates are applied once approved
+     * @param {string} roomId - Room ID
+     * @param {string} clientId - ID of the client that sent the updates
+     * @param {PropertyUpdate[]} updates - Property updates
+     */
+    #requestHostReview(roomId, clientId, updates) {
+        const host = this.#clients.get(this.#rooms[roomId].host);
+        if (!host) return this.#rejectPropertyUpdates(clientId, updates, "No host available to review the update");
+
+        const reviewId = crypto.randomUUID();
+        this.#pendingReviews.set(reviewId, {
+            roomId,
+            clientId,
+            updates,
+            timeout: setTimeout(() => {
+                this.#pendingReviews.delete(reviewId);
+                this.#rejectPropertyUpdates(clientId, updates, "Host review timed out");
+            }, HOST_REVIEW_TIMEOUT)
+        });
+        host.send(encode({ type: "property_update_review", reviewId, clientId, updates }), { binary: true });
+    }
+
+    /**
+     * Reject all updates of a room that are waiting for the host's approval
+     * @param {string} roomId - Room ID
+     * @param {string} reason - Rejection reason
+     */
+    #rejectPendingReviews(roomId, reason) {
+        this.#pendingReviews.forEach((review, reviewId) => {
+            if (review.roomId !== roomId) return;
+            clearTimeout(review.timeout);
+            this.#pendingReviews.delete(reviewId);
+            this.#rejectPropertyUpdates(review.clientId, review.updates, reason);
+        });
+    }
+
     /**
      * Generate a readable, 6 digit ID
      * @returns {string} - Id
@@ -376,6 +798,7 @@ export default class PlaySocketServer {
         if (room.host !== clientId) throw new Error("Client is not the host");
 
         const remainingParticipants = room.participants.filter(p => p !== clientId);
+        this.#rejectPendingReviews(roomId, "Host left before reviewing the update");
 
         if (remainingParticipants.length >= 1) {
             // Inform all participants about the new host
@@ -390,6 +813,27 @@ export default class PlaySocketServer {
         } else room.host = null; // The next person to join will become the host
     }
 
+    /**
+     * Make a reconnecting client the host of its room again
+     * @param {string} roomId - Room ID
+     * @param {string} clientId - Client ID of the reconnecting client
+     */
+    #restoreHost(roomId, clientId) {
+        const room = this.#rooms[roomId];
+        if (room.host === clientId) return;
+        if (room.host !== null) this.#rejectPendingReviews(roomId, "Host changed before reviewing the update");
+
+        // The reconnecting client receives the host with the room data, inform everyone else
+        room.host = clientId;
+        room.participants.filter(p => p !== clientId).forEach(p => {
+            const client = this.#clients.get(p);
+            if (client) client.send(encode({
+                type: "host_migrated",
+                newHost: clientId,
+            }), { binary: true });
+        });
+    }
+
     /**
      * Generate a random token to prevent malicious reconnect attempts
      * @returns {string} - Token
@@ -422,7 +866,7 @@ export default class PlaySocketServer {
             limit.lastReset = now;
         }
 
-        const pointCost = actionType == "create_room" ? 5 : 1;
+        const pointCost = actionType == "create_room" || actionType == "list_rooms" ? 5 : 1;
         if (limit.points < pointCost) return false;
 
         limit.points -= pointCost;
@@ -438,18 +882,25 @@ export default class PlaySocketServer {
 
         if (ws.clientId) {
             this.#clients.delete(ws.clientId); // Immediately remove from active clients (otherwise, server would try to message this client)
+            this.#removeFromQueue(ws.clientId); // Never match disconnected clients, the client re-enqueues after reconnecting
 
             // If client was in a room, check if they were the host & migrate
             const roomId = this.#clientRooms.get(ws.clientId);
-            if (roomId != null && this.#rooms[roomId]?.host === ws.clientId) this.#migrateHost(roomId, ws.clientId);
+            const hostOf = roomId != null && this.#rooms[roomId]?.host === ws.clientId ? roomId : null;
+            if (hostOf != null) this.#migrateHost(roomId, ws.clientId);
+
+            // Let the node owning the client's room handle the disconnection as well
+            const remoteNodeId = this.#remoteClients.get(ws.clientId);
+            if (remoteNodeId) this.#publishToNode(remoteNodeId, { type: "client_disconnected", clientId: ws.clientId, willful: Boolean(ws.willfulDisconnect) });
 
             if (ws.willfulDisconnect) this.#disconnectClient(ws); // Immediate disconnection
             else {
-                // Pending complete disconnection with 5s grace period to allow for reconnections
+                // Pending complete disconnection with a grace period to allow for reconnections
                 this.#pendingDisconnects.set(ws.clientId, {
                     timeout: setTimeout(() => {
                         this.#disconnectClient(ws);
-                    }, RECONNECT_GRACE_PERIOD)
+                    }, this.#reconnectGracePeriod),
+                    hostOf // Handed back if the client resumes its session
                 });
             }
         }
@@ -464,6 +915,10 @@ export default class PlaySocketServer {
         this.#clientTokens.delete(ws.clientId);
         const roomId = this.#clientRooms.get(ws.clientId);
         if (roomId && this.#rooms[roomId]) this.#leaveRoom(ws.clientId, roomId);
+        if (ws.isProxy) return; // The client's own node handles the rest
+
+        this.#remoteClients.delete(ws.clientId);
+        this.#releaseKey("client:" + ws.clientId);
         this.#triggerEvent("clientDisconnected", ws.clientId);
     }
 
@@ -474,7 +929,7 @@ export default class PlaySocketServer {
      * @returns {Function} - Unsubscribe
      */
     onEvent(event, callback) {
-        const validEvents = ["clientRegistered", "clientRegistrationRequested", "clientDisconnected", "clientJoinedRoom", "clientLeftRoom", "clientJoinRequested", "roomCreated", "roomCreationRequested", "requestReceived", "storageUpdated", "storageUpdateRequested", "roomDestroyed"];
+        const validEvents = ["clientRegistered", "clientRegistrationRequested", "clientDisconnected", "clientJoinedRoom", "clientLeftRoom", "clientJoinRequested", "roomCreated", "roomCreationRequested", "requestReceived", "storageUpdated", "storageUpdateRequested", "roomDestroyed", "messageRequested", "roomListRequested", "matchCreated"];
         if (!validEvents.includes(event)) {
             console.warn(WARNING_PREFIX + `Invalid event type ${event}`);
             return () => { };
@@ -528,7 +983,10 @@ export default class PlaySocketServer {
      */
     kick(clientId, reason = null) {
         const client = this.#clients.get(clientId);
-        if (!client) return; // Client not connected, skip
+        if (!client) {
+            if (!this.#pendingDisconnects.has(clientId)) this.#routeCommand("client:" + clientId, "kick", [clientId, reason]);
+            return; // Client not connected (to this node), skip
+        }
         client.willfulDisconnect = true;
         client.send(encode({ type: "kicked", reason }), { binary: true });
         client.close();
@@ -544,15 +1002,68 @@ export default class PlaySocketServer {
         const oldRoomId = this.#clientRooms.get(clientId);
         const oldRoom = this.#rooms[oldRoomId];
         const targetRoom = this.#rooms[roomId];
+
+        // Let the node owning the client's room handle the move
+        if (this.#backplane && !oldRoomId && (this.#remoteClients.has(clientId) || (!client && !this.#pendingDisconnects.has(clientId)))) {
+            this.#routeCommand("client:" + clientId, "move", [clientId, roomId], this.#remoteClients.get(clientId));
+            return;
+        }
+
         if (!client && !this.#pendingDisconnects.has(clientId)) throw new Error("Client not found");
         if (!oldRoomId) throw new Error("Client is not in a room");
         if (!oldRoom) throw new Error("Client room not found");
         if (oldRoomId === roomId) throw new Error("Client is already in target room");
-        if (!targetRoom) throw new Error("Target room not found");
-        if (targetRoom.participants.length >= targetRoom.size) throw new Error("Target room is full");
+        if (!targetRoom && !this.#backplane) throw new Error("Target room not found");
+        if (!targetRoom && !client) throw new Error("Client must be connected to be moved to another node");
+        if (targetRoom && targetRoom.participants.length >= targetRoom.size) throw new Error("Target room is full");
         if (oldRoom.host === clientId) this.#migrateHost(oldRoomId, clientId);
         this.#leaveRoom(clientId, oldRoomId);
-        this.#joinRoom(clientId, roomId);
+
+        if (targetRoom) this.#joinRoom(clientId, roomId);
+        else this.#moveToNode(client, roomId); // The target room might be owned by another node
+    }
+
+    /**
+     * Send a message to a client
+     * @param {string} clientId - Client ID
+     * @param {string} name - Name of the message
+     * @param {*} [data] - Custom data
+     */
+    sendToClient(clientId, name, data) {
+        const client = this.#clients.get(clientId);
+        if (!client) {
+            if (!this.#pendingDisconnects.has(clientId)) this.#routeCommand("client:" + clientId, "sendToClient", [clientId, name, data]);
+            return; // Client not connected (to this node), skip
+        }
+        client.send(encode({ type: "server_message", name, data }), { binary: true });
+    }
+
+    /**
+     * Send a message to all participants of a room
+     * @param {string} roomId - Room ID
+     * @param {string} name - Name of the message
+     * @param {*} [data] - Custom data
+     */
+    sendToRoom(roomId, name, data) {
+        const room = this.#rooms[roomId];
+        if (!room && this.#backplane) {
+            this.#routeCommand("room:" + roomId, "sendToRoom", [roomId, name, data]); // The room might be owned by another node
+            return;
+        }
+        if (!room) throw new Error("Room not found");
+        room.participants.forEach(p => this.sendToClient(p, name, data));
+    }
+
+    /**
+     * Send a message to all connected clients
+     * @param {string} name - Name of the message
+     * @param {*} [data] - Custom data
+     */
+    broadcastAll(name, data) {
+        this.#clients.forEach((client, clientId) => {
+            if (!client.isProxy) this.sendToClient(clientId, name, data); // Proxied clients receive it from their own node
+        });
+        this.#backplane?.publish("broadcast", encode({ type: "broadcast", nodeId: this.#nodeId, name, data }));
     }
 
     /**
@@ -568,7 +1079,7 @@ export default class PlaySocketServer {
     /**
      * Get the operation details from a storage update (e.g. in the "storageUpdateRequested" event)
      * @param {PropertyUpdate} update - Property update
-     * @returns {{key: string | undefined, type: PropertyUpdateType | undefined, value: *, secondValue: *}} - Operation details
+     * @returns {{key: string | undefined, type: PropertyUpdateType | undefined, value: *, secondValue: *, path: string[] | undefined}} - Operation details (path is only set for nested updates)
      */
     getUpdateDetails(update) {
         return getUpdateDetails(update);
@@ -577,41 +1088,82 @@ export default class PlaySocketServer {
     /**
      * Update a value in a room's storage
      * @param {string} roomId - Room ID
-     * @param {string} key - Storage key
+     * @param {KeyPath} key - Storage key or nested path (e.g. "players.alice.score")
      * @param {PropertyUpdateType} type - Operation type
      * @param {*} value - Value
      * @param {*} [secondValue] - Second value (needed for some operations)
      */
     updateRoomStorage(roomId, key, type, value, secondValue) {
         if (this.#debug) console.log(LOG_PREFIX + `Property update for room ${roomId}, key ${key}, operation ${type}, value ${value} and secondValue ${secondValue}`);
+        const transaction = this.#transactions.get(roomId);
+        if (transaction) transaction.push({ key, type, value, secondValue }); // Applied when the transaction ends
+        else this.updateRoomStorageBatch(roomId, [{ key, type, value, secondValue }]);
+    }
+
+    /**
+     * Update multiple values in a room's storage atomically, either all or none of the updates are applied (the room version is incremented once)
+     * @param {string} roomId - Room ID
+     * @param {StorageUpdate[]} updates - Storage updates
+     */
+    updateRoomStorageBatch(roomId, updates) {
         const room = this.#rooms[roomId];
         if (room) {
-            const propertyUpdate = room.crdtManager.updateProperty(key, type, value, secondValue);
-            const currentVersion = this.#roomVersions.get(roomId) + 1;
-            this.#roomVersions.set(roomId, currentVersion); // Increment version for this room
-
-            room.participants?.forEach(p => {
-                const client = this.#clients.get(p);
-                if (client) {
-                    client.send(encode({
-                        type: "property_updated",
-                        update: propertyUpdate,
-                        version: currentVersion
-                    }), { binary: true });
+            /** @type {PropertyUpdate[]} */
+            const propertyUpdates = [];
+            for (const { key, type, value, secondValue } of updates) {
+                const propertyUpdate = room.crdtManager.updateProperty(key, type, value, secondValue);
+                if (!propertyUpdate) {
+                    // Invalid update (already logged), revert the previous ones as they weren't synced yet
+                    propertyUpdates.reverse().forEach(update => room.crdtManager.revertPropertyUpdate(update));
+                    console.error(ERROR_PREFIX + `Failed to update storage of room ${roomId}, no updates were applied`);
+                    return;
                 }
-            });
-            this.#triggerEvent("storageUpdated", { roomId, clientId: null, update: structuredClone(propertyUpdate), storage: this.getRoomStorage(roomId) });
+                propertyUpdates.push(propertyUpdate);
+            }
+            const resolvedUpdates = room.crdtManager.resolveConditions(propertyUpdates);
+            if (!resolvedUpdates) {
+                propertyUpdates.reverse().forEach(update => room.crdtManager.revertPropertyUpdate(update));
+                if (this.#debug) console.log(LOG_PREFIX + `Condition of a storage update of room ${roomId} not met, no updates were applied`);
+                return;
+            }
+            if (!resolvedUpdates.length) return;
+            room.crdtManager.importPropertyUpdates(resolvedUpdates); // Replaces the already applied operations with their resolved copies
+            this.#publishPropertyUpdates(roomId, null, resolvedUpdates);
+        } else if (this.#backplane) {
+            this.#routeCommand("room:" + roomId, "updateRoomStorageBatch", [roomId, updates]);
         }
     }
 
+    /**
+     * Run a callback and apply all updateRoomStorage() calls it makes for the room as one atomic batch (see updateRoomStorageBatch())
+     * The updates are applied when the callback returns, nothing is applied if it throws
+     * @param {string} roomId - Room ID
+     * @param {() => void} callback - Synchronous callback
+     */
+    transaction(roomId, callback) {
+        if (this.#transactions.has(roomId)) return callback(); // Nested transactions are part of the outer one
+
+        /** @type {StorageUpdate[]} */
+        const updates = [];
+        this.#transactions.set(roomId, updates);
+        try {
+            callback();
+        } finally {
+            this.#transactions.delete(roomId);
+        }
+        if (updates.length) this.updateRoomStorageBatch(roomId, updates);
+    }
+
     /**
      * Create a room
      * @param {object} [initialStorage] - Optional initial storage object
      * @param {number} [size] - Max. room size, up to 500
      * @param {string} [host] - Host ID, defaults to "server" (when set to "server", room will not be deleted if all clients leave)
+     * @param {RoomOptions} [options] - Room options
      * @returns {{ state: CRDTState, id: string }} Object containing room state and room ID
      */
-    createRoom(initialStorage, size, host = "server") {
+    createRoom(initialStorage, size, host = "server", options = {}) {
+        /** @type {string} */
         let newRoomId;
 
         for (let i = 0; i < 100; i++) {
@@ -623,25 +1175,165 @@ export default class PlaySocketServer {
         }
 
         if (!newRoomId) throw new Error("No available ID found");
+
+        const metadata = sanitizeValue(options?.metadata ?? null);
+        if (metadata !== null && (typeof metadata !== "object" || Array.isArray(metadata))) throw new Error("Room metadata must be an object");
+        const permissions = validatePermissions(options?.permissions);
+        const schema = validateSchema(options?.schema);
+        Object.entries(schema || {}).forEach(([key, valueSchema]) => {
+            const error = initialStorage && key in initialStorage ? validateValue(sanitizeValue(/** @type {Record<string, any>} */ (initialStorage)[key]), valueSchema, key) : null;
+            if (error) throw new Error("Invalid initial storage: " + error);
+        });
+        const hostAuthority = options?.hostAuthority ?? false;
+        if (typeof hostAuthority !== "boolean" && !(Array.isArray(hostAuthority) && hostAuthority.every(key => typeof key === "string"))) throw new Error("hostAuthority must be a boolean or an array of storage keys");
+
         const roomCrdtManager = new CRDTManager(this.#debug);
 
         if (initialStorage) Object.entries(initialStorage)?.forEach(([key, value]) => {
             roomCrdtManager.updateProperty(key, "set", value);
         });
+        roomCrdtManager.takeChanges(); // Changes in storageUpdated events are relative to the initial storage
 
         this.#roomVersions.set(newRoomId, 0);
         this.#rooms[newRoomId] = {
             participants: [],
             host,
             size: Math.min(Number(size), MAX_ROOM_SIZE) || MAX_ROOM_SIZE,
-            crdtManager: roomCrdtManager
+            crdtManager: roomCrdtManager,
+            isPublic: Boolean(options?.isPublic),
+            metadata,
+            presence: {},
+            hostAuthority: Array.isArray(hostAuthority) ? [...hostAuthority] : hostAuthority,
+            permissions,
+            schema
         };
 
+        if (host === "server") this.#persistRoom(newRoomId);
+        this.#claimKey("room:" + newRoomId).then(claimed => {
+            if (!claimed) console.error(ERROR_PREFIX + `Room ID ${newRoomId} is already in use on another node`);
+        });
         this.#triggerEvent("roomCreated", newRoomId);
         if (this.#debug) console.log(LOG_PREFIX + `Room ${newRoomId} created with initial storage:`, initialStorage);
         return { state: roomCrdtManager.state, id: newRoomId };
     }
 
+    /**
+     * Create a matchmaking queue that automatically puts waiting clients into new rooms
+     * @param {string} name - Queue name
+     * @param {QueueOptions} [options] - Queue options
+     */
+    createQueue(name, options = {}) {
+        if (this.#queues.has(name)) throw new Error("Queue already exists");
+        const minPlayers = options.minPlayers ?? 2;
+        const maxPlayers = options.maxPlayers ?? minPlayers;
+        if (!Number.isInteger(minPlayers) || minPlayers < 1) throw new Error("minPlayers must be a positive integer");
+        if (!Number.isInteger(maxPlayers) || maxPlayers < minPlayers || maxPlayers > MAX_ROOM_SIZE) throw new Error(`maxPlayers must be an integer between minPlayers and ${MAX_ROOM_SIZE}`);
+
+        this.#queues.set(name, { options: { ...options, minPlayers, maxPlayers }, entries: [] });
+        if (this.#debug) console.log(LOG_PREFIX + `Queue ${name} created with options:`, options);
+    }
+
+    /**
+     * Destroy a matchmaking queue and remove all waiting clients from it
+     * @param {string} name - Queue name
+     */
+    destroyQueue(name) {
+        const queue = this.#queues.get(name);
+        if (!queue) throw new Error("Queue not found");
+
+        queue.entries.forEach(({ clientId }) => {
+            this.#clientQueues.delete(clientId);
+            this.#clients.get(clientId)?.send(encode({ type: "dequeued", queue: name, reason: "Queue destroyed by server" }), { binary: true });
+        });
+        this.#queues.delete(name);
+        if (this.#debug) console.log(LOG_PREFIX + "Deleted queue with name " + name);
+    }
+
+    /**
+     * Remove a client from its matchmaking queue (if it is waiting in one)
+     * @param {string} clientId - Client ID
+     */
+    #removeFromQueue(clientId) {
+        const queueName = this.#clientQueues.get(clientId);
+        if (queueName == null) return;
+        this.#clientQueues.delete(clientId);
+        const queue = this.#queues.get(queueName);
+        if (queue) queue.entries = queue.entries.filter(entry => entry.clientId !== clientId);
+    }
+
+    /**
+     * Create matches from the waiting clients of a queue until no more matches can be formed
+     * @param {string} name - Queue name
+     */
+    #processQueue(name) {
+        const queue = this.#queues.get(name);
+        if (!queue) return;
+        const { minPlayers, maxPlayers, skillRange, initialStorage, roomOptions } = queue.options;
+
+        /**
+         * Check if two clients are compatible based on their skill criteria
+         * @param {QueueEntry} a - First entry
+         * @param {QueueEntry} b - Second entry
+         * @returns {boolean} - Whether the clients can be matched
+         */
+        const isCompatible = (a, b) => {
+            if (skillRange == null || !Number.isFinite(a.criteria?.skill) || !Number.isFinite(b.criteria?.skill)) return true;
+            return Math.abs(a.criteria.skill - b.criteria.skill) <= skillRange;
+        };
+
+        let matchCreated = true;
+        while (matchCreated) {
+            matchCreated = false;
+
+            // Oldest entries get priority, everyone in a match must be compatible with every other player of it
+            for (const anchor of queue.entries) {
+                const group = [anchor];
+                for (const entry of queue.entries) {
+                    if (group.length >= maxPlayers) break;
+                    if (entry !== anchor && group.every(member => isCompatible(member, entry))) group.push(entry);
+                }
+                if (group.length < minPlayers) continue;
+
+                const clientIds = group.map(entry => entry.clientId);
+                clientIds.forEach(clientId => this.#removeFromQueue(clientId));
+
+                try {
+                    const newRoom = this.createRoom(initialStorage, maxPlayers, clientIds[0], roomOptions);
+                    const joinedIds = clientIds.filter(clientId => {
+                        try {
+                            this.#clients.get(clientId)?.send(encode({ type: "match_found", queue: name, roomId: newRoom.id }), { binary: true });
+                            this.#joinRoom(clientId, newRoom.id);
+                            return true;
+                        } catch (error) {
+                            console.error(ERROR_PREFIX + `Failed to add client ${clientId} to match room ${newRoom.id}:`, error);
+                            return false;
+                        }
+                    });
+
+                    // Not enough players joined, so the match is called off for everyone
+                    if (joinedIds.length < minPlayers) {
+                        joinedIds.forEach(clientId => {
+                            this.#leaveRoom(clientId, newRoom.id); // The room is destroyed once the last one left
+                            this.#clients.get(clientId)?.send(encode({ type: "room_left", roomId: newRoom.id }), { binary: true });
+                        });
+                        if (this.#rooms[newRoom.id]) this.destroyRoom(newRoom.id); // Nobody joined
+                        throw new Error(`Only ${joinedIds.length} of ${minPlayers} players joined`);
+                    }
+                    this.#triggerEvent("matchCreated", { queue: name, roomId: newRoom.id, clientIds });
+                    if (this.#debug) console.log(LOG_PREFIX + `Match created in room ${newRoom.id} from queue ${name}:`, clientIds);
+                } catch (error) {
+                    console.error(ERROR_PREFIX + `Failed to create match for queue ${name}:`, error);
+                    clientIds.forEach(clientId => {
+                        this.#clients.get(clientId)?.send(encode({ type: "dequeued", queue: name, reason: "Failed to create match" }), { binary: true });
+                    });
+                }
+
+                matchCreated = true;
+                break; // Entries changed, start over
+            }
+        }
+    }
+
     /**
      * Make a client join a room
      * @param {string} clientId - Client ID
@@ -654,6 +1346,7 @@ export default class PlaySocketServer {
         if (!client && !this.#pendingDisconnects.has(clientId)) throw new Error("Client not found");
         if (this.#clientRooms.get(clientId)) throw new Error("Already in a room");
         if (room.participants.length >= room.size) throw new Error("Room full");
+        this.#removeFromQueue(clientId);
 
         room.participants.push(clientId);
         this.#clientRooms.set(clientId, roomId);
@@ -667,7 +1360,8 @@ export default class PlaySocketServer {
                 state: room.crdtManager.state,
                 participantCount: room.participants.length,
                 host: room.host,
-                version: this.#roomVersions.get(roomId)
+                version: this.#roomVersions.get(roomId),
+                presence: room.presence
             }), { binary: true });
         }
 
@@ -709,6 +1403,7 @@ export default class PlaySocketServer {
         if (!room) throw new Error("Room not found");
 
         room.participants = room.participants.filter(p => p !== clientId); // Remove client from room
+        delete room.presence[clientId]; // Clients remove it locally on client_left
         this.#clientRooms.delete(clientId);
         this.#triggerEvent("clientLeftRoom", clientId, roomId); // Before potential room destruction to allow for accessing its data in callback
 
@@ -733,6 +1428,10 @@ export default class PlaySocketServer {
      */
     destroyRoom(roomId) {
         const room = this.#rooms[roomId];
+        if (!room && this.#backplane) {
+            this.#routeCommand("room:" + roomId, "destroyRoom", [roomId]); // The room might be owned by another node
+            return;
+        }
         if (!room) throw new Error("Room not found");
 
         // Disconnect clients if still in room
@@ -742,8 +1441,18 @@ export default class PlaySocketServer {
         });
 
         // Delete the room
+        this.#rejectPendingReviews(roomId, "Room destroyed");
         delete this.#rooms[roomId];
         this.#roomVersions.delete(roomId); // Delete room version (used to ensure all clients are up-2-date)
+        this.#updateBuffers.delete(roomId);
+        this.#releaseKey("room:" + roomId);
+        clearTimeout(this.#pendingSaves.get(roomId));
+        this.#pendingSaves.delete(roomId);
+        if (this.#persistence && room.host === "server") {
+            Promise.resolve().then(() => this.#persistence.remove(roomId)).catch(error => {
+                console.error(ERROR_PREFIX + `Failed to remove snapshot of room ${roomId}:`, error);
+            });
+        }
         this.#triggerEvent("roomDestroyed", roomId);
         if (this.#debug) console.log(LOG_PREFIX + "Deleted room with id " + roomId);
     }
@@ -761,7 +1470,342 @@ export default class PlaySocketServer {
         this.#pendingDisconnects.forEach((data) => {
             clearTimeout(data.timeout);
         });
+        this.#pendingReviews.forEach((review) => clearTimeout(review.timeout));
+        this.#pendingReviews.clear();
+
+        // Flush pending saves so that no update is lost
+        [...this.#pendingSaves.keys()].forEach(roomId => this.#persistRoom(roomId));
+
+        // Hand the rooms over to other nodes (e.g. via restoreRooms()) and stop receiving messages
+        if (this.#backplane) {
+            Object.keys(this.#rooms).forEach(roomId => this.#releaseKey("room:" + roomId));
+            Promise.all([
+                this.#backplane.unsubscribe("node:" + this.#nodeId, this.#backplaneHandler),
+                this.#backplane.unsubscribe("broadcast", this.#backplaneHandler)
+            ]).catch(error => console.error(ERROR_PREFIX + "Failed to unsubscribe from backplane:", error));
+        }
+    }
+
+    /**
+     * Schedule saving a server-owned room through the persistence adapter (debounced)
+     * @param {string} roomId - Room ID
+     */
+    #schedulePersist(roomId) {
+        if (!this.#persistence || this.#rooms[roomId]?.host !== "server" || this.#pendingSaves.has(roomId)) return;
+        this.#pendingSaves.set(roomId, setTimeout(() => this.#persistRoom(roomId), PERSIST_DEBOUNCE));
+    }
+
+    /**
+     * Save a room through the persistence adapter
+     * @param {string} roomId - Room ID
+     */
+    async #persistRoom(roomId) {
+        clearTimeout(this.#pendingSaves.get(roomId));
+        this.#pendingSaves.delete(roomId);
+        const room = this.#rooms[roomId];
+        if (!this.#persistence || !room) return;
+
+        try {
+            /** @type {RoomSnapshot} */
+            const snapshot = {
+                state: room.crdtManager.state,
+                host: room.host,
+                size: room.size,
+                version: this.#roomVersions.get(roomId),
+                isPublic: room.isPublic,
+                metadata: room.metadata,
+                permissions: room.permissions,
+                schema: room.schema
+            };
+            await this.#persistence.save(roomId, snapshot); // The adapter is called synchronously, so sync adapters finish before stop() returns
+            if (this.#debug) console.log(LOG_PREFIX + `Room ${roomId} persisted at version ${snapshot.version}`);
+        } catch (error) {
+            console.error(ERROR_PREFIX + `Failed to persist room ${roomId}:`, error);
+        }
+    }
+
+    /**
+     * Restore the rooms saved by the persistence adapter, e.g. on startup (rooms whose ID is already in use, also on other nodes, are skipped)
+     * @returns {Promise<string[]>} - IDs of the restored rooms
+     */
+    async restoreRooms() {
+        if (!this.#persistence) throw new Error("No persistence adapter configured");
+        const snapshots = await this.#persistence.loadAll();
+
+        /** @type {string[]} */
+        const restoredRoomIds = [];
+        for (const [roomId, snapshot] of Object.entries(snapshots || {})) {
+            if (this.#rooms[roomId] || !(await this.#claimKey("room:" + roomId))) continue;
+            try {
+                const roomCrdtManager = new CRDTManager(this.#debug);
+                roomCrdtManager.importState(snapshot.state);
+                roomCrdtManager.takeChanges(); // Changes in storageUpdated events are relative to the restored storage
+
+                this.#roomVersions.set(roomId, Number(snapshot.version) || 0);
+                this.#rooms[roomId] = {
+                    participants: [],
+                    host: snapshot.host ?? "server",
+                    size: Math.min(Number(snapshot.size), MAX_ROOM_SIZE) || MAX_ROOM_SIZE,
+                    crdtManager: roomCrdtManager,
+                    isPublic: Boolean(snapshot.isPublic),
+                    metadata: snapshot.metadata ?? null,
+                    presence: {},
+                    hostAuthority: false, // Restored rooms are server-owned
+                    permissions: validatePermissions(snapshot.permissions),
+                    schema: validateSchema(snapshot.schema)
+                };
+                restoredRoomIds.push(roomId);
+                this.#triggerEvent("roomCreated", roomId);
+            } catch (error) {
+                this.#releaseKey("room:" + roomId);
+                console.error(ERROR_PREFIX + `Failed to restore room ${roomId}:`, error);
+            }
+        }
+
+        if (this.#debug) console.log(LOG_PREFIX + `Restored ${restoredRoomIds.length} room(s) from persistence`);
+        return restoredRoomIds;
+    }
+
+    /**
+     * Claim a key on the backplane for this node
+     * @param {string} key - Key (e.g. "client:ABC123")
+     * @returns {Promise<boolean>} - Whether this node owns the key (always true without a backplane)
+     */
+    async #claimKey(key) {
+        if (!this.#backplane) return true;
+        try {
+            return await this.#backplane.claim(key, this.#nodeId);
+        } catch (error) {
+            console.error(ERROR_PREFIX + `Failed to claim ${key} on backplane:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Release a key on the backplane
+     * @param {string} key - Key
+     */
+    async #releaseKey(key) {
+        if (!this.#backplane) return;
+        try {
+            await this.#backplane.release(key, this.#nodeId);
+        } catch (error) {
+            console.error(ERROR_PREFIX + `Failed to release ${key} on backplane:`, error);
+        }
+    }
+
+    /**
+     * Publish a message to another node
+     * @param {string} nodeId - Node ID
+     * @param {Record<string, any>} message - Message
+     */
+    async #publishToNode(nodeId, message) {
+        try {
+            await this.#backplane.publish("node:" + nodeId, encode(message));
+        } catch (error) {
+            console.error(ERROR_PREFIX + `Failed to publish ${message.type} to node ${nodeId}:`, error);
+        }
+    }
+
+    /**
+     * Forward a client message to the node owning the client's room
+     * @param {string} nodeId - Node ID
+     * @param {WebSocket} ws - WebSocket client (or proxy)
+     * @param {import("ws").RawData} message - Message encoded with messagepack
+     */
+    #forwardToNode(nodeId, ws, message) {
+        this.#publishToNode(nodeId, {
+            type: "client_message",
+            clientId: ws.clientId,
+            edgeNodeId: ws.isProxy ? ws.edgeNodeId : this.#nodeId,
+            sessionToken: this.#clientTokens.get(ws.clientId),
+            message
+        });
+    }
+
+    /**
+     * Send an encoded message to a client that is connected to this or another node
+     * @param {string} edgeNodeId - Node the client is connected to
+     * @param {string} clientId - Client ID
+     * @param {Uint8Array} data - Message encoded with messagepack
+     */
+    #deliverToClient(edgeNodeId, clientId, data) {
+        if (edgeNodeId === this.#nodeId) this.#clients.get(clientId)?.send(data, { binary: true });
+        else this.#publishToNode(edgeNodeId, { type: "deliver", clientId, data });
+    }
+
+    /**
+     * Create a proxy that stands in for a client connected to another node, so that the regular message handling works unchanged
+     * @param {string} clientId - Client ID
+     * @param {string} edgeNodeId - Node the client is connected to
+     * @param {string} [sessionToken] - Session token of the client (needed for reconnects)
+     * @returns {WebSocket} - Proxy
+     */
+    #createProxy(clientId, edgeNodeId, sessionToken) {
+        const proxy = /** @type {WebSocket} */ (/** @type {unknown} */ ({
+            uuid: crypto.randomUUID(),
+            isAlive: true,
+            clientId,
+            isProxy: true,
+            edgeNodeId,
+            /** @param {Uint8Array} data */
+            send: (data) => this.#publishToNode(edgeNodeId, { type: "deliver", clientId, data }),
+            close: () => this.#publishToNode(edgeNodeId, { type: "close", clientId, willful: Boolean(proxy.willfulDisconnect) }),
+            terminate: () => proxy.close()
+        }));
+        this.#clients.set(clientId, proxy);
+        if (sessionToken && !this.#clientTokens.has(clientId)) this.#clientTokens.set(clientId, sessionToken);
+        this.#publishToNode(edgeNodeId, { type: "attached", clientId, nodeId: this.#nodeId }); // Route the client's messages here
+        return proxy;
+    }
+
+    /**
+     * Remove the proxy of a client that no longer has a room on this node
+     * @param {string} clientId - Client ID
+     */
+    #detachProxy(clientId) {
+        const proxy = this.#clients.get(clientId);
+        if (!proxy?.isProxy) return;
+        this.#clients.delete(clientId);
+        this.#clientTokens.delete(clientId);
+        this.#rateLimits.delete(proxy.uuid);
+        this.#publishToNode(proxy.edgeNodeId, { type: "detached", clientId, nodeId: this.#nodeId });
+    }
+
+    /**
+     * Move a client (that already left its room on this node) into a room that might be owned by another node
+     * @param {WebSocket} client - WebSocket client (or proxy)
+     * @param {string} roomId - Room ID (Target)
+     */
+    async #moveToNode(client, roomId) {
+        const { clientId } = client;
+        const edgeNodeId = client.isProxy ? client.edgeNodeId : this.#nodeId;
+        const sessionToken = this.#clientTokens.get(clientId);
+        this.#detachProxy(clientId);
+
+        const nodeId = await this.#backplane.getOwner("room:" + roomId);
+        if (nodeId && nodeId !== this.#nodeId) return this.#publishToNode(nodeId, { type: "move_in", clientId, roomId, edgeNodeId, sessionToken });
+
+        // The client already left its room, let it know that it is no longer in one
+        console.error(ERROR_PREFIX + `Failed to move client ${clientId}: Target room not found`);
+        this.#deliverToClient(edgeNodeId, clientId, encode({ type: "room_left", roomId: null }));
+    }
+
+    /**
+     * Run a server method on the node that owns the client or room it targets
+     * @param {string} key - Backplane key of the client or room (e.g. "room:ABC123")
+     * @param {string} command - Method name
+     * @param {any[]} args - Method arguments
+     * @param {string} [nodeId] - Target node ID (looked up via the key if omitted)
+     */
+    async #routeCommand(key, command, args, nodeId) {
+        if (!this.#backplane) return;
+        const hops = this.#commandHops + 1; // Read before the first await, while the current command is still executing
+        try {
+            nodeId ??= await this.#backplane.getOwner(key);
+            if (!nodeId || nodeId === this.#nodeId || hops > MAX_ROUTING_HOPS) {
+                if (this.#debug) console.log(LOG_PREFIX + `Skipped ${command}, no other node owns ${key}`);
+                return;
+            }
+            this.#publishToNode(nodeId, { type: "command", command, args, hops });
+        } catch (error) {
+            console.error(ERROR_PREFIX + `Failed to route ${command} for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Handle a message from the backplane
+     * @param {Uint8Array} encodedMessage - Message encoded with messagepack
+     */
+    async #handleBackplaneMessage(encodedMessage) {
+        try {
+            const message = /** @type {Record<string, any>} */ (decode(encodedMessage));
+            const { clientId } = message;
+
+            switch (message.type) {
+                case "client_message": {
+                    // Messages of clients that are connected to this node again are handled directly
+                    if (message.edgeNodeId === this.#nodeId) {
+                        this.#remoteClients.delete(clientId);
+                        const ws = this.#clients.get(clientId);
+                        if (ws) await this.#handleMessage(ws, message.message);
+                        return;
+                    }
+
+                    let proxy = this.#clients.get(clientId);
+                    if (!proxy?.isProxy || proxy.edgeNodeId !== message.edgeNodeId) proxy = this.#createProxy(clientId, message.edgeNodeId, message.sessionToken);
+                    await this.#handleMessage(proxy, message.message);
+
+                    // Hand the client back once it has no room or queue here anymore
+                    const isDone = !this.#clientRooms.has(clientId) && !this.#clientQueues.has(clientId) && !this.#pendingDisconnects.has(clientId);
+                    if (isDone && this.#clients.get(clientId) === proxy) this.#detachProxy(clientId);
+                    break;
+                }
+
+                case "client_disconnected": {
+                    const proxy = this.#clients.get(clientId);
+                    if (!proxy?.isProxy) return;
+                    proxy.willfulDisconnect = message.willful;
+                    this.#handleDisconnection(proxy);
+                    break;
+                }
+
+                case "move_in": {
+                    const room = this.#rooms[message.roomId];
+                    if (!room || room.participants.length >= room.size || this.#clientRooms.has(clientId)) {
+                        console.error(ERROR_PREFIX + `Failed to move client ${clientId}: Target room ${room ? "is full" : "not found"}`);
+                        return this.#deliverToClient(message.edgeNodeId, clientId, encode({ type: "room_left", roomId: null }));
+                    }
+                    if (message.edgeNodeId === this.#nodeId) this.#remoteClients.delete(clientId); // Moved back to this node
+                    else this.#createProxy(clientId, message.edgeNodeId, message.sessionToken);
+                    this.#joinRoom(clientId, message.roomId);
+                    break;
+                }
+
+                case "command":
+                    if (!ROUTED_COMMANDS.includes(message.command)) return;
+                    this.#commandHops = message.hops;
+                    try {
+                        /** @type {any} */ (this)[message.command](...message.args);
+                    } finally {
+                        this.#commandHops = 0;
+                    }
+                    break;
+
+                // Messages for clients connected to this node
+                case "deliver":
+                    this.#clients.get(clientId)?.send(message.data, { binary: true });
+                    break;
+
+                case "close": {
+                    const ws = this.#clients.get(clientId);
+                    if (!ws || ws.isProxy) return;
+                    ws.willfulDisconnect = message.willful;
+                    ws.close();
+                    break;
+                }
+
+                case "attached":
+                    if (this.#clients.has(clientId) || this.#pendingDisconnects.has(clientId)) this.#remoteClients.set(clientId, message.nodeId);
+                    break;
+
+                case "detached":
+                    if (this.#remoteClients.get(clientId) === message.nodeId) this.#remoteClients.delete(clientId);
+                    break;
+
+                case "broadcast":
+                    if (message.nodeId === this.#nodeId) return;
+                    this.#clients.forEach((client, id) => {
+                        if (!client.isProxy) this.sendToClient(id, message.name, message.data);
+                    });
+                    break;
+            }
+        } catch (error) {
+            console.error(ERROR_PREFIX + "Error handling backplane message:", error);
+        }
     }
 
     get rooms() { return structuredClone(this.#rooms) }
+
+    get nodeId() { return this.#nodeId }
 }
\ No newline at end of file
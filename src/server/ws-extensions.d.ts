@@ -9,5 +9,7 @@ declare module "ws" {
         clientId?: string;
         isTerminating?: boolean;
         willfulDisconnect?: boolean;
+        isProxy?: boolean; // Stands in for a client connected to another node (see backplane)
+        edgeNodeId?: string; // Node holding the actual connection of a proxy
     }
 }
\ No newline at end of file
@@ -1,18 +1,35 @@
 import { HEARTBEAT_INTERVAL } from "./constants.js";
 
 const CONSOLE_PREFIX = "PlaySocket CRDT manager: ";
+const MAX_PATH_DEPTH = 10; // Max. number of nested path segments below a storage key
+const FORBIDDEN_PATH_SEGMENTS = ["__proto__", "constructor", "prototype"];
+const TEXT_KEY = "<text>"; // Marks the internal sequence representation of texts (only visible as plain string in the property store, sanitized values can't contain it as angle brackets are removed from keys)
+const LIST_KEY = "<list>"; // Marks the internal sequence representation of ordered lists (only visible as plain array in the property store)
+const SET_KEY = "<set>"; // Marks the internal tagged representation of sets (only visible as plain array of unique items in the property store)
+const TEXT_OPERATIONS = ["text-insert", "text-delete"];
+const LIST_OPERATIONS = ["array-insert-at", "array-move", "array-remove-at", "array-update-at"];
+const SET_OPERATIONS = ["set-add", "set-remove"];
 
-/** @typedef {"set" | "number-increment" | "array-add" | "array-add-unique" | "array-remove-matching" | "array-update-matching" | "object-set-key" | "object-remove-key"} PropertyUpdateType */
+/** @typedef {"set" | "compare-and-set" | "number-increment" | "number-increment-clamped" | "number-max" | "number-min" | "number-multiply" | "set-add" | "set-remove" | "array-add" | "array-add-unique" | "array-remove-matching" | "array-update-matching" | "object-set-key" | "object-remove-key" | "text-insert" | "text-delete" | "array-insert-at" | "array-move" | "array-remove-at" | "array-update-at"} PropertyUpdateType */
 
 /** @typedef {[string, number][]} VectorClockEntries */
 
+/** @typedef {string | (string | number)[]} KeyPath - Storage key ("players"), dot-separated path ("players.alice.score") or path array (["players", "alice", "score"]) */
+
 /**
  * @typedef {object} OperationData
  * @property {PropertyUpdateType} type - Operation type
  * @property {*} value - Value
  * @property {*} [secondValue] - Second value (needed for some operations)
+ * @property {string[]} [path] - Nested path below the storage key the operation applies to
+ * @property {string | null} [anchor] - Text and list operations: ID of the entry to insert or move after (null for the start)
+ * @property {string} [id] - Text, list and set inserts: ID (prefix) of the inserted entries
+ * @property {string[]} [targets] - Text, list and set operations: IDs of the deleted, moved, updated or removed entries
+ * @property {boolean} [resolved] - Compare-and-set: Whether the server confirmed the condition (confirmed operations apply unconditionally)
  */
 
+/** @typedef {[string, any, 0 | 1]} SequenceEntry - Entry of a text, list or set: ID, character or item and tombstone flag (deleted text and list entries are kept so concurrent operations can still reference them) */
+
 /**
  * @typedef {object} Operation
  * @property {OperationData} data - Operation data
@@ -28,6 +45,15 @@ const CONSOLE_PREFIX = "PlaySocket CRDT manager: ";
  * @property {VectorClockEntries} vectorClock - Vector clock entries of the replica
  */
 
+/** @typedef {{ op: "add" | "remove" | "replace", path: string, value?: any }} PatchOperation - JSON patch operation (RFC 6902 style, path is a JSON pointer) */
+
+/**
+ * @typedef {object} StorageChanges
+ * @property {string[]} keys - Changed storage keys
+ * @property {Record<string, { previous: any, next: any }>} changes - Previous and next value per changed key (undefined if the key doesn't exist)
+ * @property {PatchOperation[]} patch - JSON patch that transforms the previous into the next storage
+ */
+
 /**
  * @typedef {object} CRDTState
  * @property {[string, Operation[]][]} keyOperations - Operations per storage key
@@ -46,16 +72,22 @@ export default class CRDTManager {
     #keyOperations = new Map();
     /** @type {Map<string, number>} */
     #vectorClock = new Map();
+    /** @type {Map<string, number>} */
+    #compactedClock = new Map(); // Vector clock up to which operations were compacted by garbage collection (or imported as a snapshot)
 
     /** @type {Record<string, any>} */
     #propertyStore = {}; // Current local values as key/value store object
     /** @type {Record<string, any>} */
     #lastPropertyStore = {}; // Last property store to compare against
+    /** @type {Set<string>} */
+    #changedKeys = new Set(); // Keys processed since the last comparison
 
     // Local Garbage Collection
     #lastGCCheck = 0;
     /** @type {Map<string, number>} */
     #opUuidTimestamp = new Map(); // Map every operation to a timestamp for garbage collection
+    /** @type {Set<string>} */
+    #retainedUuids = new Set(); // Operations that may still be reverted, garbage collection stops before them
 
     // Debug
     #debug = false;
@@ -79,13 +111,14 @@ export default class CRDTManager {
             const { keyOperations, vectorClock } = state;
             if (this.#debug) console.log(CONSOLE_PREFIX + "Importing state:", state);
 
-            // Resets
+            // Resets (the last property store is kept, so changes are reported relative to it)
             this.#opUuidTimestamp.clear();
+            Object.keys(this.#propertyStore).forEach(key => this.#changedKeys.add(key)); // Keys missing in the new state were removed
             this.#propertyStore = {};
-            this.#lastPropertyStore = {};
 
             this.#keyOperations = new Map(keyOperations); // Rebuild the operations map
             this.#vectorClock = new Map(vectorClock); // Rebuild the vector clock map
+            this.#compactedClock = new Map(vectorClock); // The imported operations may already be compacted
             if (!this.#vectorClock.has(this.#replicaId)) this.#vectorClock.set(this.#replicaId, 0); // Add own vector clock if it wasn't present in the imported state
 
             // Map all operation uuids to current timestamp
@@ -103,41 +136,87 @@ export default class CRDTManager {
         }
     }
 
+    /**
+     * Import the operations missing from the local state (exported using getStateDelta), local operations are kept
+     * @param {CRDTState} state - Missing operations per key and the full vector clock
+     */
+    importStateDelta(state) {
+        try {
+            const { keyOperations, vectorClock } = state;
+            if (this.#debug) console.log(CONSOLE_PREFIX + "Importing state delta:", state);
+
+            for (const [id, counter] of vectorClock) {
+                if (!this.#vectorClock.has(id) || this.#vectorClock.get(id) < counter) this.#vectorClock.set(id, counter);
+            }
+
+            for (const [key, operations] of keyOperations) {
+                const currentOps = [...(this.#keyOperations.get(key) || [])];
+                for (const operation of operations) {
+                    const existingIndex = currentOps.findIndex(op => op.uuid === operation.uuid);
+                    if (existingIndex === -1) currentOps.push(operation);
+                    else currentOps[existingIndex] = operation; // The server's copy of an own operation may contain the resolution of its condition
+                    this.#opUuidTimestamp.set(operation.uuid, Date.now());
+                }
+                this.#keyOperations.set(key, this.#sortByVectorClock(currentOps));
+                this.#processLocalProperty(key);
+            }
+
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to import state delta:", error);
+        }
+    }
+
     /**
      * Import property update
      * @param {PropertyUpdate} update - Property update
      */
     importPropertyUpdate(update) {
+        this.importPropertyUpdates([update]);
+    }
+
+    /**
+     * Import multiple property updates atomically, either all or none of them are imported (e.g. for transactions)
+     * @param {PropertyUpdate[]} updates - Property updates
+     */
+    importPropertyUpdates(updates) {
         try {
-            const { key, operation: rawOperation, vectorClock } = update;
-            const operation = /** @type {Operation} */ (this.#sanitizeValue(rawOperation));
-            if (this.#debug) console.log(CONSOLE_PREFIX + "Importing update:", update); // Debug
+            if (this.#debug) console.log(CONSOLE_PREFIX + "Importing updates:", updates); // Debug
 
-            // Check key limit to safeguard against too many keys
-            if (this.#keyOperations.size >= 100 && !this.#keyOperations.has(key)) throw new Error("Key limit exceeded");
+            // Validate all updates before importing any of them
+            const sanitizedUpdates = updates.map(({ key, operation: rawOperation, vectorClock }) => {
+                const operation = /** @type {Operation} */ (sanitizeValue(rawOperation));
+                if (operation.data?.path !== undefined && !isValidPath(operation.data.path)) throw new Error("Invalid storage path");
+                return { key, operation, vectorClock };
+            });
 
-            // Get COPY of current ops (or empty array if none yet)
-            const currentOps = [...(this.#keyOperations.get(key) || [])];
-            // Merge vector clocks (always take max value)
-            for (const [id, counter] of vectorClock) {
-                if (!this.#vectorClock.has(id) || this.#vectorClock.get(id) < counter) {
-                    this.#vectorClock.set(id, counter);
+            // Check key limit to safeguard against too many keys
+            const newKeys = new Set(sanitizedUpdates.map(({ key }) => key).filter(key => !this.#keyOperations.has(key)));
+            if (newKeys.size > 0 && this.#keyOperations.size + newKeys.size > 100) throw new Error("Key limit exceeded");
+
+            for (const { key, operation, vectorClock } of sanitizedUpdates) {
+                // Get COPY of current ops (or empty array if none yet)
+                const currentOps = [...(this.#keyOperations.get(key) || [])];
+                // Merge vector clocks (always take max value)
+                for (const [id, counter] of vectorClock) {
+                    if (!this.#vectorClock.has(id) || this.#vectorClock.get(id) < counter) {
+                        this.#vectorClock.set(id, counter);
+                    }
                 }
-            }
 
-            // Safeguard against massive vector clocks
-            if (this.#vectorClock.size > 1000) this.#vectorClock = new Map([...this.#vectorClock].slice(-100));
+                // Safeguard against massive vector clocks
+                if (this.#vectorClock.size > 1000) this.#vectorClock = new Map([...this.#vectorClock].slice(-100));
 
-            // Add new operation if it's not already added
-            const existingUuids = new Set(currentOps.map(op => op.uuid));
-            if (operation.uuid && !existingUuids.has(operation.uuid)) {
-                currentOps.push({ ...operation }); // Add operation
-                this.#opUuidTimestamp.set(operation.uuid, Date.now()); // Add timestamp for gc
-            }
+                // Add new operation if it's not already added
+                const existingIndex = currentOps.findIndex(op => op.uuid === operation.uuid);
+                if (operation.uuid && existingIndex === -1) {
+                    currentOps.push({ ...operation }); // Add operation
+                    this.#opUuidTimestamp.set(operation.uuid, Date.now()); // Add timestamp for gc
+                } else if (existingIndex !== -1) currentOps[existingIndex] = { ...operation }; // The server's copy of an own operation may contain the resolution of its condition
 
-            // Sort, update operations & local value
-            this.#keyOperations.set(key, this.#sortByVectorClock(currentOps));
-            this.#processLocalProperty(key);
+                // Sort, update operations & local value
+                this.#keyOperations.set(key, this.#sortByVectorClock(currentOps));
+                this.#processLocalProperty(key);
+            }
             this.#checkGarbageCollection();
 
         } catch (error) {
@@ -145,6 +224,48 @@ export default class CRDTManager {
         }
     }
 
+    /**
+     * Compute the values the storage keys of property updates would have after importing all of them, without changing the state (e.g. for validation)
+     * @param {PropertyUpdate[]} updates - Property updates
+     * @returns {Record<string, any>} - Values of the updated storage keys after the updates
+     */
+    previewPropertyUpdates(updates) {
+        /** @type {Map<string, Operation[]>} */
+        const keyOperations = new Map();
+        for (const update of updates) {
+            const operation = /** @type {Operation} */ (sanitizeValue(update.operation));
+            const ops = keyOperations.get(update.key) || [...(this.#keyOperations.get(update.key) || [])];
+            if (operation?.uuid && !ops.some(op => op.uuid === operation.uuid)) ops.push(operation); // Otherwise it would not be added
+            keyOperations.set(update.key, ops);
+        }
+        return Object.fromEntries([...keyOperations].map(([key, ops]) => [key, this.#computeValue(this.#sortByVectorClock(ops))]));
+    }
+
+    /**
+     * Check the conditions of compare-and-set updates against the current state (on the server, so the first update to arrive wins)
+     * Each condition is checked after the preceding updates, if all are met copies of the updates are marked as resolved so every replica applies them
+     * @param {PropertyUpdate[]} updates - Property updates, the ones to check may already be part of the state
+     * @returns {PropertyUpdate[] | null} - Updates with resolved conditions, null if a condition isn't met
+     */
+    resolveConditions(updates) {
+        try {
+            const uuids = new Set(updates.map(update => update.operation?.uuid));
+            for (const [index, update] of updates.entries()) {
+                const data = update.operation?.data;
+                if (data?.type !== "compare-and-set") continue;
+
+                const ops = (this.#keyOperations.get(update.key) || []).filter(op => !uuids.has(op.uuid));
+                const precedingOps = updates.slice(0, index).filter(other => other.key === update.key).map(other => /** @type {Operation} */ (sanitizeValue(other.operation)));
+                const value = finalizeValue(getRawValueAtPath(this.#replayOperations(this.#sortByVectorClock([...ops, ...precedingOps])), data.path || []));
+                if (!isEqualValue(value ?? null, sanitizeValue(data.value))) return null;
+            }
+            return updates.map(update => update.operation?.data?.type === "compare-and-set" ? { ...update, operation: { ...update.operation, data: { ...update.operation.data, resolved: true } } } : update);
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to resolve conditions:", error);
+            return null;
+        }
+    }
+
     /**
      * Revert a local property update by removing the operation and recomputing the affected key
      * Should NOT be used on the server or for synced ops, only for reverting local optimistic updates
@@ -173,32 +294,55 @@ export default class CRDTManager {
         }
     }
 
+    /**
+     * Keep operations from being compacted by garbage collection (e.g. local updates the server hasn't confirmed yet), so they can still be reverted
+     * @param {string[]} uuids - Operation UUIDs
+     */
+    retainOperations(uuids) {
+        uuids.forEach(uuid => this.#retainedUuids.add(uuid));
+    }
+
+    /**
+     * Allow garbage collection to compact retained operations again
+     * @param {string[]} uuids - Operation UUIDs
+     */
+    releaseOperations(uuids) {
+        uuids.forEach(uuid => this.#retainedUuids.delete(uuid));
+    }
+
     /**
      * Update a property
-     * @param {string} key - Storage key
+     * @param {KeyPath} keyPath - Storage key or nested path (operations on different nested paths of a key merge)
      * @param {PropertyUpdateType} type - Operation type
      * @param {*} value - Value
      * @param {*} [secondValue] - Second value (needed for some operations)
      * @returns {PropertyUpdate | undefined} - Returns the property update
      */
-    updateProperty(key, type, value, secondValue) {
+    updateProperty(keyPath, type, value, secondValue) {
+        const segments = parseKeyPath(keyPath);
+        const [key, ...path] = segments;
         try {
+            if (!key || !isValidPath(path)) throw new Error("Invalid storage path");
+
             // Sanitize inputs
-            value = this.#sanitizeValue(value);
-            secondValue = this.#sanitizeValue(secondValue);
+            value = sanitizeValue(value);
+            secondValue = sanitizeValue(secondValue);
 
             // Debug log
-            if (this.#debug) console.log(CONSOLE_PREFIX + `Updating property with key ${key}, type ${type}, value ${value} and secondValue ${secondValue}`);
-
-            // Increment vector clock
-            const counter = this.#vectorClock.get(this.#replicaId) || 0;
-            this.#vectorClock.set(this.#replicaId, counter + 1);
+            if (this.#debug) console.log(CONSOLE_PREFIX + `Updating property with key ${segments.join(".")}, type ${type}, value ${value} and secondValue ${secondValue}`);
 
             // Assign shallow copy of current ops or fall back to empty array
             const currentOps = [...(this.#keyOperations.get(key) || [])];
 
+            // Text, list and set operations reference stable entry IDs instead of indexes or items, so concurrent edits merge
+            const counter = this.#vectorClock.get(this.#replicaId) || 0;
+            const sequenceReferences = [...TEXT_OPERATIONS, ...LIST_OPERATIONS, ...SET_OPERATIONS].includes(type) ? this.#resolveSequenceReferences(currentOps, path, type, value, secondValue, counter + 1) : {};
+
+            // Increment vector clock
+            this.#vectorClock.set(this.#replicaId, counter + 1);
+
             // Add operation
-            const newOp = this.#createOperation({ type, value, secondValue }, Array.from(this.#vectorClock.entries()));
+            const newOp = this.#createOperation({ type, value, secondValue, ...(path.length > 0 && { path }), ...sequenceReferences }, Array.from(this.#vectorClock.entries()));
             currentOps.push(newOp);
             this.#keyOperations.set(key, currentOps); // Update the operations (no need to sort via vector clock since local updates are always the latest)
             this.#processLocalProperty(key); // Process local value
@@ -212,10 +356,54 @@ export default class CRDTManager {
             };
 
         } catch (error) {
-            console.error(CONSOLE_PREFIX + `Failed to add operation for key ${key}:`, error);
+            console.error(CONSOLE_PREFIX + `Failed to add operation for key ${segments.join(".")}:`, error);
         }
     }
 
+    /**
+     * Resolve the indexes or item of a text, list or set operation to the IDs of the entries it refers to in the current value
+     * Set removals only remove the entries they observed, so a concurrent add of the same item wins
+     * @param {Operation[]} ops - Current operations of the storage key
+     * @param {string[]} path - Nested path of the text, list or set below the storage key
+     * @param {PropertyUpdateType} type - Operation type
+     * @param {*} index - Index in the text or list, item for set operations
+     * @param {*} secondValue - Second value of the operation
+     * @param {number} counter - Vector clock counter of the new operation
+     * @returns {Partial<OperationData>} - Sequence references of the operation
+     */
+    #resolveSequenceReferences(ops, path, type, index, secondValue, counter) {
+        const isText = TEXT_OPERATIONS.includes(type);
+        const marker = isText ? TEXT_KEY : LIST_OPERATIONS.includes(type) ? LIST_KEY : SET_KEY;
+        const visible = toSequence(getRawValueAtPath(this.#replayOperations(ops), path), marker).filter(entry => !entry[2]);
+        const id = `${counter}@${this.#replicaId.slice(0, 8)}`;
+
+        if (type === "set-add") return { id };
+        if (type === "set-remove") return { targets: visible.filter(entry => isEqualValue(entry[1], index)).map(entry => entry[0]) };
+        if (!Number.isInteger(index) || index < 0) throw new Error("Index must be a non-negative integer");
+
+        switch (type) {
+            case "text-insert":
+            case "array-insert-at": {
+                if (isText && (typeof secondValue !== "string" || !secondValue)) throw new Error("Inserted text must be a non-empty string");
+                const position = Math.min(index, visible.length);
+                return { anchor: position === 0 ? null : visible[position - 1][0], id };
+            }
+            case "text-delete":
+                if (!Number.isInteger(secondValue) || secondValue < 1) throw new Error("Number of deleted characters must be a positive integer");
+                return { targets: visible.slice(index, index + secondValue).map(entry => entry[0]) };
+        }
+
+        if (index >= visible.length) throw new Error("Array index out of range");
+        const target = visible[index][0];
+        if (type !== "array-move") return { targets: [target] };
+
+        // The anchor is the item that precedes the moved one at its new index
+        if (!Number.isInteger(secondValue) || secondValue < 0) throw new Error("Target index must be a non-negative integer");
+        const remaining = visible.filter(entry => entry[0] !== target);
+        const position = Math.min(secondValue, remaining.length);
+        return { targets: [target], anchor: position === 0 ? null : remaining[position - 1][0] };
+    }
+
     /**
      * Check if garbage collected can be performed & run it
      */
@@ -230,32 +418,28 @@ export default class CRDTManager {
                 if (operations?.length < 5) continue; // Min op amount per key for garbage collection to run (otherwise not worth it)
 
                 let retainCount = operations.length;
-                operations.forEach((op, index) => {
+                for (const [index, op] of operations.entries()) {
+                    if (this.#retainedUuids.has(op.uuid)) break; // Retained ops and everything after them must stay revertible
+
                     // Count how many ops, from last to latest, are older than the min-age in a row
                     if (op.uuid && this.#opUuidTimestamp.has(op.uuid) && (Date.now() - this.#opUuidTimestamp.get(op.uuid)) > HEARTBEAT_INTERVAL) {
                         const removeCount = index + 1;
                         retainCount = operations.length - removeCount;
                         this.#opUuidTimestamp.delete(op.uuid); // Remove from timestamps if set to be deleted
                     }
-                });
+                }
 
                 if (retainCount < operations.length) {
                     if (this.#debug) console.log(CONSOLE_PREFIX + `Running garbage collection for key ${key} with current operations:`, operations);
                     const retainOps = operations.slice(-retainCount); // Newest ops
                     const removeOps = operations.slice(0, -retainCount); // Oldest ops (start =  idx 0, end = retainCount counted from right side)
                     const baselineVectorClock = removeOps[removeOps.length - 1]?.vectorClock || []; // Use the vector clock from the last operation that we remove/overwrite
+                    removeOps.forEach(op => op.vectorClock.forEach(([id, counter]) => {
+                        if (!(this.#compactedClock.get(id) >= counter)) this.#compactedClock.set(id, counter); // These operations can't be sent individually anymore
+                    }));
 
-                    // Calculate the value at the point where retained operations start
-                    let baselineValue = null;
-                    for (const op of removeOps) {
-                        if (!op.data) continue;
-                        baselineValue = this.#handleOperation(
-                            baselineValue,
-                            op.data.type,
-                            op.data.value,
-                            op.data.secondValue
-                        );
-                    }
+                    // Calculate the value at the point where retained operations start (texts and lists keep their sequence, retained operations may reference its entries)
+                    const baselineValue = this.#replayOperations(removeOps);
 
                     // Create a compact operation with baseline value and appropriate vector clock
                     const compactOp = this.#createOperation({ type: "set", value: baselineValue }, baselineVectorClock);
@@ -294,6 +478,7 @@ export default class CRDTManager {
      * @param {string} key - Storage key
      */
     #processLocalProperty(key) {
+        this.#changedKeys.add(key);
         try {
             const ops = this.#keyOperations.get(key);
             if (!ops?.length) {
@@ -301,25 +486,35 @@ export default class CRDTManager {
                 return;
             }
 
-            // Apply all operations in order
-            let value = null;
-
-            for (const op of ops) {
-                if (!op.data) continue;
-                value = this.#handleOperation(
-                    value,
-                    op.data.type,
-                    op.data.value,
-                    op.data.secondValue
-                );
-            }
-
-            this.#propertyStore[key] = value; // Save locally
+            this.#propertyStore[key] = this.#computeValue(ops); // Save locally
         } catch (error) {
             console.error(CONSOLE_PREFIX + `Failed to process property for key ${key}:`, error);
         }
     }
 
+    /**
+     * Compute the value of a storage key by applying all of its operations in order
+     * @param {Operation[]} ops - Sorted operations of the key
+     * @returns {*} - Value
+     */
+    #computeValue(ops) {
+        return finalizeValue(this.#replayOperations(ops));
+    }
+
+    /**
+     * Apply operations in order, texts and lists are returned in their internal sequence representation
+     * @param {Operation[]} ops - Sorted operations
+     * @returns {*} - Value
+     */
+    #replayOperations(ops) {
+        let value = null;
+        for (const op of ops) {
+            if (!op.data) continue;
+            value = this.#applyOperation(value, op.data);
+        }
+        return value;
+    }
+
     /**
      * Sort operations by vector clock (causal order)
      * @param {Operation[]} operations - Full operations that include vector clocks, data and a source
@@ -356,6 +551,65 @@ export default class CRDTManager {
         });
     }
 
+    /**
+     * Apply an operation to the value of a storage key, at the operation's nested path if it has one
+     * @param {*} curValue - Current value of the storage key
+     * @param {OperationData} data - Operation data
+     * @returns {*} - Value after the operation
+     */
+    #applyOperation(curValue, data) {
+        if (!data.path?.length) return this.#handleLeafOperation(curValue, data);
+        if (!isValidPath(data.path)) return curValue;
+
+        /**
+         * Copy the containers along the path and apply the operation at its end
+         * @param {*} container - Current value at this level
+         * @param {string[]} path - Remaining path
+         * @returns {*} - Value after the operation
+         */
+        const applyAtPath = (container, path) => {
+            if (!path.length) return this.#handleLeafOperation(container, data);
+            const [segment, ...rest] = path;
+
+            // Lists are traversed via the index of their visible items, keeping their sequence
+            if (isSequence(container, LIST_KEY)) {
+                const sequence = toSequence(container, LIST_KEY);
+                const entry = sequence.filter(entry => !entry[2])[Number(segment)];
+                if (!/^\d+$/.test(segment) || !entry) return container;
+                entry[1] = applyAtPath(entry[1], rest);
+                return { [LIST_KEY]: sequence };
+            }
+
+            // Arrays can only be traversed via existing indexes, converting them to objects would lose their items
+            if (Array.isArray(container)) {
+                if (!/^\d+$/.test(segment) || Number(segment) >= container.length) return container;
+                const copy = [...container];
+                copy[Number(segment)] = applyAtPath(copy[Number(segment)], rest);
+                return copy;
+            }
+
+            const copy = typeof container === "object" && container !== null && !isSequence(container, TEXT_KEY) && !isSequence(container, SET_KEY) ? { ...container } : {}; // Auto-convert to object if current value isn't one
+            copy[segment] = applyAtPath(copy[segment] ?? null, rest);
+            return copy;
+        };
+
+        return applyAtPath(curValue, data.path);
+    }
+
+    /**
+     * Handle an operation on the value it targets, texts, lists and sets are converted to their internal representation for their operations and back to a plain value otherwise
+     * @param {*} curValue - Current value
+     * @param {OperationData} data - Operation data
+     * @returns {*} - Value after the operation
+     */
+    #handleLeafOperation(curValue, data) {
+        if (TEXT_OPERATIONS.includes(data.type)) return applySequenceOperation(curValue, data, TEXT_KEY);
+        if (LIST_OPERATIONS.includes(data.type)) return applySequenceOperation(curValue, data, LIST_KEY);
+        if (SET_OPERATIONS.includes(data.type)) return applySequenceOperation(curValue, data, SET_KEY);
+        if (data.type === "compare-and-set") return data.resolved || isEqualValue(finalizeValue(curValue) ?? null, data.value) ? data.secondValue : curValue;
+        return this.#handleOperation([TEXT_KEY, LIST_KEY, SET_KEY].some(marker => isSequence(curValue, marker)) ? finalizeValue(curValue) : curValue, data.type, data.value, data.secondValue);
+    }
+
     /**
      * Handle an operation
      * @param {*} curValue - Current value of the storage key
@@ -372,10 +626,32 @@ export default class CRDTManager {
             // Set operation
             if (type === "set") return value;
 
-            // Number increment operation
-            if (type === "number-increment") {
+            // Number operations
+            if (type.startsWith("number")) {
                 if (!Number.isFinite(curValue)) curValue = 0; // Auto-convert to number if current value isn't a finite number
-                if (Number.isFinite(value)) curValue += value; // Negative values are allowed, increment can be used for decrementing (non-finite values are ignored)
+                if (!Number.isFinite(value)) return curValue; // Non-finite values are ignored
+
+                switch (type) {
+                    case "number-increment":
+                        curValue += value; // Negative values are allowed, increment can be used for decrementing
+                        break;
+                    case "number-increment-clamped": {
+                        const { min, max } = typeof secondValue === "object" && secondValue !== null ? secondValue : {};
+                        curValue += value;
+                        if (Number.isFinite(max)) curValue = Math.min(curValue, max);
+                        if (Number.isFinite(min)) curValue = Math.max(curValue, min);
+                        break;
+                    }
+                    case "number-max":
+                        curValue = Math.max(curValue, value);
+                        break;
+                    case "number-min":
+                        curValue = Math.min(curValue, value);
+                        break;
+                    case "number-multiply":
+                        curValue *= value;
+                        break;
+                }
             }
 
             // Array operations
@@ -383,12 +659,8 @@ export default class CRDTManager {
                 if (!Array.isArray(curValue)) curValue = []; // Auto-convert to array if current value isn't one
 
                 // Comparison function
-                const isObject = typeof value === "object" && value !== null;
                 /** @param {*} item */
-                const compare = (item) => {
-                    if (isObject && typeof item === "object" && item !== null) return JSON.stringify(item) === JSON.stringify(value); // Deep comparison
-                    return item === value; // Value comparison
-                };
+                const compare = (item) => isEqualValue(item, value);
 
                 switch (type) {
                     case "array-add":
@@ -430,24 +702,6 @@ export default class CRDTManager {
         }
     }
 
-    /**
-     * Remove HTML to prevent XSS and enforce size limits
-     * @param {*} value - Value to sanitize
-     * @returns {*} - Sanitized value
-     */
-    #sanitizeValue(value) {
-        if (value === undefined) return null; // Normalize undefined to null to avoid divergence in transport
-
-        // Check total serialized size
-        const jsonString = JSON.stringify(value);
-        if (jsonString?.length > 50000) throw new Error("Value too large"); // 50KB limit
-
-        if (typeof value === "string") return (value.includes("<") || value.includes(">")) ? value.replace(/[<>]/g, "") : value;
-        if (Array.isArray(value)) return Array.from(value, item => this.#sanitizeValue(item));
-        if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.#sanitizeValue(v)]));
-        return value;
-    }
-
     /**
      * Get property store
      * @returns {Record<string, any>} - Object with key value pairs
@@ -461,20 +715,66 @@ export default class CRDTManager {
         }
     }
 
+    /**
+     * Get the changes of the property store since the last call (or didPropertiesChange check), only keys processed in the meantime are compared
+     * @returns {StorageChanges} - Changes, keys is empty if no values changed
+     */
+    takeChanges() {
+        /** @type {StorageChanges} */
+        const result = { keys: [], changes: {}, patch: [] };
+        try {
+            for (const key of this.#changedKeys) {
+                const previous = this.#lastPropertyStore[key];
+                const next = this.#propertyStore[key];
+                if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+
+                const nextClone = structuredClone(next);
+                result.keys.push(key);
+                result.changes[key] = { previous, next: nextClone };
+                createPatch(previous, nextClone, "/" + escapePointerSegment(key), result.patch);
+                if (key in this.#propertyStore) this.#lastPropertyStore[key] = structuredClone(next); // Separate clone, the result may be modified by callbacks
+                else delete this.#lastPropertyStore[key];
+            }
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to compare property stores:", error);
+        }
+        this.#changedKeys.clear();
+        return result;
+    }
+
     /**
      * Check for changes in the local property store
      * @returns {boolean} - Check if any values changed going from the last to the current property update
      */
     get didPropertiesChange() {
+        return this.takeChanges().keys.length > 0;
+    }
+
+    /**
+     * Export the operations a replica is missing, based on its vector clock (can be imported using importStateDelta)
+     * @param {VectorClockEntries} vectorClock - Vector clock of the replica
+     * @param {string[]} [uuids] - UUIDs of operations to include even if the replica created them (e.g. ones it doesn't know the outcome of)
+     * @returns {CRDTState | null} - Missing operations per key and the full vector clock, null if some of them were compacted by garbage collection
+     */
+    getStateDelta(vectorClock, uuids = []) {
         try {
-            if (JSON.stringify(this.#propertyStore) !== JSON.stringify(this.#lastPropertyStore)) {
-                this.#lastPropertyStore = structuredClone(this.#propertyStore);
-                return true;
+            const replicaClock = new Map(vectorClock);
+            const knows = (/** @type {VectorClockEntries} */ entries) => entries.every(([id, counter]) => replicaClock.get(id) >= counter);
+            if (!knows([...this.#compactedClock])) return null;
+
+            const includedUuids = new Set(uuids);
+            /** @type {[string, Operation[]][]} */
+            const keyOperations = [];
+            for (const [key, operations] of this.#keyOperations) {
+                // An operation is known if the replica's vector clock covers the one it was created with
+                const missingOps = operations.filter(op => includedUuids.has(op.uuid) || !knows(op.vectorClock));
+                if (missingOps.length) keyOperations.push([key, missingOps]);
             }
-        } catch {
-            console.error(CONSOLE_PREFIX + "Failed to stringify and compare property stores")
+            return { keyOperations, vectorClock: [...this.#vectorClock.entries()] };
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to compute state delta:", error);
+            return null;
         }
-        return false;
     }
 
     /**
@@ -489,12 +789,226 @@ export default class CRDTManager {
     }
 }
 
+/**
+ * Check if a nested storage path is valid
+ * @param {*} path - Path segments below the storage key
+ * @returns {boolean} - Whether the path is valid
+ */
+function isValidPath(path) {
+    return Array.isArray(path) && path.length <= MAX_PATH_DEPTH && path.every(segment => typeof segment === "string" && segment !== "" && !FORBIDDEN_PATH_SEGMENTS.includes(segment) && !/[<>]/.test(segment)); // Angle brackets are reserved for the markers of internal representations
+}
+
+/**
+ * Check if a value is the internal sequence representation of a text or list
+ * @param {*} value - Value
+ * @param {string} marker - TEXT_KEY or LIST_KEY
+ * @returns {boolean} - Whether the value is a sequence of that kind
+ */
+function isSequence(value, marker) {
+    return typeof value === "object" && value !== null && Array.isArray(value[marker]) && Object.keys(value).length === 1;
+}
+
+/**
+ * Compare two values, objects and arrays are compared deeply
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+function isEqualValue(a, b) {
+    if (typeof a === "object" && a !== null && typeof b === "object" && b !== null) return JSON.stringify(a) === JSON.stringify(b); // Deep comparison
+    return a === b; // Value comparison
+}
+
+/**
+ * Get a copy of the entries of a text, list or set (strings and arrays are converted with IDs derived from the position, so all replicas derive the same ones)
+ * @param {*} value - Sequence, set, string or array (other values are treated as empty)
+ * @param {string} marker - TEXT_KEY, LIST_KEY or SET_KEY
+ * @returns {SequenceEntry[]} - Entries
+ */
+function toSequence(value, marker) {
+    if (isSequence(value, marker)) return value[marker].filter(Array.isArray).map((/** @type {any[]} */ [id, item, deleted]) => /** @type {SequenceEntry} */ ([String(id), marker === TEXT_KEY ? String(item ?? "") : item, deleted ? 1 : 0]));
+    if (marker === TEXT_KEY && typeof value === "string") return value.split("").map((char, i) => [`s${i}`, char, 0]);
+    if (marker !== TEXT_KEY && Array.isArray(value)) return value.map((item, i) => [`a${i}`, item, 0]);
+    return [];
+}
+
+/**
+ * Replace all texts, lists and sets within a value with their strings and arrays
+ * @param {*} value - Value
+ * @returns {*} - Value without internal representations
+ */
+function finalizeValue(value) {
+    if (isSequence(value, SET_KEY)) {
+        /** @type {any[]} */
+        const items = [];
+        toSequence(value, SET_KEY).forEach(entry => {
+            if (!entry[2] && !items.some(item => isEqualValue(item, entry[1]))) items.push(entry[1]);
+        });
+        return items.map(finalizeValue);
+    }
+    if (isSequence(value, TEXT_KEY)) return toSequence(value, TEXT_KEY).filter(entry => !entry[2]).map(entry => entry[1]).join("");
+    if (isSequence(value, LIST_KEY)) return toSequence(value, LIST_KEY).filter(entry => !entry[2]).map(entry => finalizeValue(entry[1]));
+    if (Array.isArray(value)) return value.map(finalizeValue);
+    if (typeof value === "object" && value !== null) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, finalizeValue(v)]));
+    return value;
+}
+
+/**
+ * Get the value at a nested path of a replayed value (list items are addressed by their visible index)
+ * @param {*} value - Replayed value of a storage key
+ * @param {string[]} path - Nested path
+ * @returns {*} - Value at the path, undefined if it doesn't exist
+ */
+function getRawValueAtPath(value, path) {
+    for (const segment of path) {
+        if (isSequence(value, LIST_KEY)) value = toSequence(value, LIST_KEY).filter(entry => !entry[2])[Number(segment)]?.[1];
+        else value = typeof value === "object" && value !== null && !isSequence(value, TEXT_KEY) && !isSequence(value, SET_KEY) ? value[segment] : undefined;
+    }
+    return value;
+}
+
+/**
+ * Get the position after an anchor entry (unknown anchors, e.g. after the value was replaced, fall back to the index of the operation)
+ * @param {SequenceEntry[]} sequence - Entries
+ * @param {string | null | undefined} anchor - ID of the entry to insert after, null for the start
+ * @param {*} index - Visible index to fall back to
+ * @returns {number} - Position in the sequence
+ */
+function getInsertPosition(sequence, anchor, index) {
+    if (anchor === null) return 0;
+    const anchorPosition = sequence.findIndex(entry => entry[0] === anchor);
+    if (anchorPosition !== -1) return anchorPosition + 1;
+
+    // Position after the given number of visible entries
+    let position = 0;
+    let visibleCount = 0;
+    while (position < sequence.length && visibleCount < index) {
+        if (!sequence[position][2]) visibleCount++;
+        position++;
+    }
+    return position;
+}
+
+/**
+ * Apply a text, list or set operation
+ * @param {*} curValue - Current sequence, set or plain value
+ * @param {OperationData} data - Operation data
+ * @param {string} marker - TEXT_KEY, LIST_KEY or SET_KEY
+ * @returns {Record<string, SequenceEntry[]>} - Sequence after the operation
+ */
+function applySequenceOperation(curValue, data, marker) {
+    let sequence = toSequence(curValue, marker);
+    const targets = new Set(Array.isArray(data.targets) ? data.targets : []);
+
+    switch (data.type) {
+        case "text-insert": {
+            const text = typeof data.secondValue === "string" ? data.secondValue : "";
+            const position = getInsertPosition(sequence, data.anchor, data.value);
+            /** @type {SequenceEntry[]} */
+            const inserted = text.split("").map((char, i) => [`${data.id}.${i}`, char, 0]);
+            sequence = [...sequence.slice(0, position), ...inserted, ...sequence.slice(position)];
+            break;
+        }
+        case "array-insert-at":
+            sequence.splice(getInsertPosition(sequence, data.anchor, data.value), 0, [String(data.id), data.secondValue, 0]);
+            break;
+        case "array-move": {
+            const entry = sequence.find(entry => targets.has(entry[0]));
+            if (!entry || entry[2]) break; // Removed items stay removed
+            sequence = sequence.filter(other => other !== entry);
+            sequence.splice(getInsertPosition(sequence, data.anchor, data.secondValue), 0, entry);
+            break;
+        }
+        case "set-add":
+            sequence.push([String(data.id), data.value, 0]);
+            break;
+        case "set-remove": // Sets don't need tombstones, their entries are never referenced by position
+            sequence = sequence.filter(entry => !targets.has(entry[0]));
+            break;
+        case "array-update-at":
+            sequence.forEach(entry => {
+                if (targets.has(entry[0])) entry[1] = data.secondValue;
+            });
+            break;
+        default: // text-delete, array-remove-at
+            sequence.forEach(entry => {
+                if (targets.has(entry[0])) entry[2] = 1;
+            });
+    }
+    return { [marker]: sequence };
+}
+
 /**
  * Get the operation details from a property update
  * @param {PropertyUpdate} update - Property update
- * @returns {{key: string | undefined, type: PropertyUpdateType | undefined, value: *, secondValue: *}} - Operation details
+ * @returns {{key: string | undefined, type: PropertyUpdateType | undefined, value: *, secondValue: *, path: string[] | undefined}} - Operation details (path is only set for nested updates)
  */
 export function getUpdateDetails(update) {
     const data = update?.operation?.data;
-    return { key: update?.key, type: data?.type, value: data?.value, secondValue: data?.secondValue };
-}
\ No newline at end of file
+    return { key: update?.key, type: data?.type, value: data?.value, secondValue: data?.secondValue, path: data?.path };
+}
+
+/**
+ * Escape a JSON pointer segment (RFC 6901)
+ * @param {string} segment - Path segment
+ * @returns {string} - Escaped segment
+ */
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Append the JSON patch operations that transform one value into another (objects are diffed recursively, arrays of the same length per item)
+ * @param {*} previous - Previous value (undefined if it didn't exist)
+ * @param {*} next - Next value (undefined if it was removed)
+ * @param {string} pointer - JSON pointer of the value
+ * @param {PatchOperation[]} patch - Patch to append to
+ */
+function createPatch(previous, next, pointer, patch) {
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+    if (previous === undefined) {
+        patch.push({ op: "add", path: pointer, value: next });
+        return;
+    }
+    if (next === undefined) {
+        patch.push({ op: "remove", path: pointer });
+        return;
+    }
+
+    const bothObjects = [previous, next].every(value => typeof value === "object" && value !== null && !Array.isArray(value));
+    const sameLengthArrays = Array.isArray(previous) && Array.isArray(next) && previous.length === next.length;
+    if (!bothObjects && !sameLengthArrays) {
+        patch.push({ op: "replace", path: pointer, value: next });
+        return;
+    }
+
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    keys.forEach(key => createPatch(previous[key], next[key], pointer + "/" + escapePointerSegment(key), patch));
+}
+
+/**
+ * Split a storage key or nested path into its segments
+ * @param {KeyPath} keyPath - Storage key, dot-separated path or path array
+ * @returns {string[]} - Path segments, starting with the storage key
+ */
+export function parseKeyPath(keyPath) {
+    return (Array.isArray(keyPath) ? keyPath : String(keyPath).split(".")).map(String);
+}
+
+/**
+ * Remove HTML to prevent XSS and enforce size limits (angle brackets are removed from object keys as well, they're reserved for the markers of internal representations)
+ * @param {*} value - Value to sanitize
+ * @returns {*} - Sanitized value
+ */
+export function sanitizeValue(value) {
+    if (value === undefined) return null; // Normalize undefined to null to avoid divergence in transport
+
+    // Check total serialized size
+    const jsonString = JSON.stringify(value);
+    if (jsonString?.length > 50000) throw new Error("Value too large"); // 50KB limit
+
+    if (typeof value === "string") return (value.includes("<") || value.includes(">")) ? value.replace(/[<>]/g, "") : value;
+    if (Array.isArray(value)) return Array.from(value, item => sanitizeValue(item));
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k.replace(/[<>]/g, ""), sanitizeValue(v)]));
+    return value;
+}